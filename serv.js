@@ -2,9 +2,10 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 // Database
 const Database = require('better-sqlite3');
-const db = new Database(path.join(__dirname, 'data.db'));
+const db = new Database(process.env.DB_PATH || path.join(__dirname, 'data.db'));
 
 const app = express();
 const server = http.createServer(app);
@@ -27,7 +28,7 @@ app.use((req, res, next) => {
         res.setHeader('Access-Control-Allow-Origin', 'https://cosatka-clickgame-277-p2.netlify.app');
     }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Token');
     next();
 });
 
@@ -55,11 +56,204 @@ const BATTLE_CONFIG = {
     SPECIAL_ATTACK_COST: 25,
     BASE_ATTACK_DAMAGE: 10,
     SPECIAL_ATTACK_DAMAGE: 25,
-    DEFENSE_BONUS: 5,
+    DEFENSE_BONUS: 5, // на столько снижается урон следующего удара по защищающемуся
+    DEFEND_COST: 5,
+    HEAL_COST: 20,
+    HEAL_AMOUNT: 15,
+    CHARGE_COST: 0,
+    CHARGE_MULTIPLIER: 2, // множитель урона следующего удара после заряда
+    MAX_WAGER: 100000,
+    HOUSE_CUT: Math.min(1, Math.max(0, parseFloat(process.env.BATTLE_HOUSE_CUT) || 0)), // доля банка ставок, которая сгорает (0..1)
+    CHALLENGE_TTL: 60000, // сколько вызов ждёт ответа
     TURN_TIME: 30000, // 30 секунд на ход
+    RECONNECT_GRACE: (parseInt(process.env.BATTLE_RECONNECT_SECONDS) || 30) * 1000, // ожидание вернувшегося игрока
     MAX_TURNS: 20
 };
 
+// Стоимость действий в баттле
+const BATTLE_ACTION_COSTS = {
+    attack: BATTLE_CONFIG.ATTACK_COST,
+    special: BATTLE_CONFIG.SPECIAL_ATTACK_COST,
+    defend: BATTLE_CONFIG.DEFEND_COST,
+    heal: BATTLE_CONFIG.HEAL_COST,
+    charge: BATTLE_CONFIG.CHARGE_COST
+};
+
+// Подбор соперника по рейтингу (Эло)
+const MATCHMAKING_CONFIG = {
+    INITIAL_RATING: 1000,
+    K_FACTOR: 32,
+    BASE_TOLERANCE: 100, // допустимая разница рейтингов сразу после входа в очередь
+    TOLERANCE_STEP: 50, // насколько допуск растёт за каждый интервал ожидания
+    TOLERANCE_STEP_MS: 5000,
+    MAX_TOLERANCE: 1000,
+    TICK: 2000
+};
+
+// Рейды на боссов: совместный бой всех онлайн-игроков против морского чудища
+const RAID_CONFIG = {
+    INTERVAL: (parseInt(process.env.RAID_INTERVAL_MINUTES) || 30) * 60 * 1000, // как часто появляется босс
+    DURATION: (parseInt(process.env.RAID_DURATION_MINUTES) || 5) * 60 * 1000, // сколько есть времени его победить
+    HEALTH_PER_PLAYER: 2000, // запас здоровья растёт с числом игроков онлайн
+    BROADCAST_INTERVAL: 1000,
+    BOSSES: [
+        { id: 'kraken', name: 'Кракен', health: 20000, reward: 15000 },
+        { id: 'leviathan', name: 'Левиафан', health: 40000, reward: 30000 },
+        { id: 'megalodon', name: 'Мегалодон', health: 30000, reward: 22000 }
+    ]
+};
+
+// Турниры на выбывание: запись, сетка, раунды из обычных баттлов
+const TOURNAMENT_CONFIG = {
+    INTERVAL: (parseInt(process.env.TOURNAMENT_INTERVAL_MINUTES) || 120) * 60 * 1000, // как часто открывается запись
+    SIGNUP_DURATION: (parseInt(process.env.TOURNAMENT_SIGNUP_MINUTES) || 10) * 60 * 1000,
+    SEEDING: process.env.TOURNAMENT_SEEDING === 'random' ? 'random' : 'rating',
+    MIN_PLAYERS: 4,
+    MAX_PLAYERS: 16,
+    NO_SHOW_TIMEOUT: 60000, // сколько ждать участника матча, прежде чем засчитать неявку
+    PRIZES: [10000, 5000, 2500], // 1-е место, 2-е место, каждому из полуфиналистов
+    TICK: 2000
+};
+
+// Чат: общий канал, канал клана и личные сообщения
+const CHAT_CONFIG = {
+    HISTORY_LIMIT: parseInt(process.env.CHAT_HISTORY_LIMIT) || 50, // сколько последних сообщений хранится в каждом канале
+    MAX_LENGTH: 200
+};
+
+// Модерация чата: частота сообщений, наказания, жалобы и фильтр слов
+const MODERATION_CONFIG = {
+    MESSAGE_BURST: 5, // сколько сообщений можно отправить подряд
+    MESSAGES_PER_SECOND: 0.5, // с какой скоростью восстанавливается запас
+    BASE_COOLDOWN: 10000, // пауза за первый флуд, дальше удваивается
+    MAX_COOLDOWN: 10 * 60 * 1000,
+    STRIKE_RESET: 10 * 60 * 1000, // через столько спокойствия счётчик нарушений обнуляется
+    MASK_CHAR: '*',
+    DEFAULT_FILTER_WORDS: ['спам', 'оскорбление', 'реклама']
+};
+
+// Конфигурация экономики
+const ECONOMY_CONFIG = {
+    MAX_CLICKS_PER_SECOND: 20, // правдоподобный предел для живого игрока
+    CLICK_BURST: 40, // сколько кликов можно накопить про запас
+    INCOME_TICK: 1000, // пассивный доход начисляется раз в секунду
+    INCOME_SAVE_INTERVAL: 30000, // а в БД попадает не чаще раза в 30 секунд (и при выходе)
+    UPGRADE_COST_MULTIPLIER: 1.5,
+    BOOST_MULTIPLIER: 2
+};
+
+// Каталог скинов - совпадает с массивом skins на клиенте. bonus - % к любому улову
+const SKINS = [
+    { id: 'cat', name: 'Обычная Косатка', cost: 0, bonus: 0 },
+    { id: 'skin3', name: 'Рыбный Гурман', cost: 750, bonus: 8 },
+    { id: 'skin4', name: 'Галактический Исследователь', cost: 1500, bonus: 12 },
+    { id: 'skin5', name: 'Энергетический Космонавт', cost: 2500, bonus: 18 },
+    { id: 'skin6', name: 'Тюбичный Рыболов', cost: 4000, bonus: 22 },
+    { id: 'skin7', name: 'Вселенский Провидец', cost: 6000, bonus: 30 }
+];
+
+// Престиж: сброс прогресса в обмен на очки, дающие постоянный бонус к доходу.
+// Очки за сброс = floor(sqrt(рыбки / MIN_FISH)), т.е. 1 очко на пороге, 2 - при 4×пороге и т.д.
+const PRESTIGE_CONFIG = {
+    MIN_FISH: parseInt(process.env.PRESTIGE_MIN_FISH) || 1000000,
+    BONUS_PER_POINT: 10 // % к любому улову за каждое очко престижа
+};
+
+// Список игроков онлайн: клиенты получают снимок, а затем пачки изменений не чаще TICK
+const PRESENCE_CONFIG = {
+    TICK: parseInt(process.env.PRESENCE_TICK_MS) || 500,
+    // Только эти поля игрока видны другим (без socketId, battleId, токенов и внутренних счётчиков)
+    PUBLIC_FIELDS: ['id', 'name', 'resources', 'currentSkin', 'inBattle', 'rating', 'prestigeLevel']
+};
+
+// Лидерборд: топ кэшируется и пересчитывается не чаще DELTA_INTERVAL, клиентам уходят только изменения
+const LEADERBOARD_CONFIG = {
+    TOP_SIZE: parseInt(process.env.LEADERBOARD_TOP_SIZE) || 100,
+    DELTA_INTERVAL: parseInt(process.env.LEADERBOARD_DELTA_MS) || 2000,
+    MAX_AROUND_RANGE: 25
+};
+
+// Сезоны: очки сезона - рыбки, пойманные с его начала. По окончании итоги архивируются и выдаются награды
+const SEASON_CONFIG = {
+    DURATION_DAYS: parseInt(process.env.SEASON_DAYS) || 30,
+    REWARD_TIERS: [ // награда за место: первое подходящее maxRank
+        { maxRank: 1, reward: 50000 },
+        { maxRank: 3, reward: 25000 },
+        { maxRank: 10, reward: 10000 },
+        { maxRank: 50, reward: 2000 }
+    ],
+    TICK: 5000 // как часто сбрасываются накопленные очки и проверяются сроки
+};
+
+// Временные события с множителем дохода. Рыбные выходные планируются автоматически,
+// только если задан WEEKEND_MULTIPLIER больше 1 (по умолчанию выключены)
+const EVENT_CONFIG = {
+    WEEKEND_NAME: 'Рыбные выходные',
+    WEEKEND_MULTIPLIER: parseFloat(process.env.WEEKEND_MULTIPLIER) || 1
+};
+
+// Оффлайн-доход: за время отсутствия начисляется autoPower × секунды, но не больше лимита
+const OFFLINE_CONFIG = {
+    MAX_OFFLINE_SECONDS: (parseFloat(process.env.OFFLINE_MAX_HOURS) || 8) * 60 * 60,
+    MIN_OFFLINE_SECONDS: 60 // короткие переподключения не считаем отсутствием
+};
+
+// Ежедневные задания: каждый день игроку выпадает несколько заданий из общего пула
+const TASKS_CONFIG = {
+    TASKS_PER_DAY: parseInt(process.env.TASKS_PER_DAY) || 3,
+    RESET_HOUR_UTC: parseInt(process.env.TASKS_RESET_HOUR_UTC) || 0, // час (UTC), когда начинается новый день
+    STREAK_BONUS_PER_DAY: 0.1, // +10% к наградам за каждый день серии подряд
+    MAX_STREAK_BONUS: 1 // не больше x2
+};
+
+// Кланы: политика вступления и лимит участников
+const CLAN_CONFIG = {
+    JOIN_POLICIES: ['open', 'invite', 'closed'], // открыт / по заявкам и приглашениям / закрыт
+    DEFAULT_MAX_MEMBERS: 20,
+    MAX_MEMBERS_LIMIT: 50
+};
+
+// Клановые войны: счёт ведётся по баттлам между участниками воюющих кланов
+const CLAN_WAR_CONFIG = {
+    DURATION: (parseInt(process.env.CLAN_WAR_DURATION_MINUTES) || 60) * 60 * 1000,
+    REWARD_PER_MEMBER: parseInt(process.env.CLAN_WAR_REWARD) || 1000,
+    CHECK_INTERVAL: 10000
+};
+
+// Улучшения клана покупаются из казны и действуют на всех участников
+const CLAN_PERKS = [
+    { id: 'click', name: 'Клановый клик', kind: 'click', baseCost: 5000, costMultiplier: 2, bonusPerLevel: 5, maxLevel: 10 },
+    { id: 'auto', name: 'Клановый автодоход', kind: 'auto', baseCost: 5000, costMultiplier: 2, bonusPerLevel: 5, maxLevel: 10 }
+];
+
+// Каталог достижений. stat - какой показатель проверяется, target - порог, reward - рыбки за открытие
+const ACHIEVEMENTS = [
+    { id: 'fish_1k', name: 'Первый улов', description: 'Поймать 1 000 рыбок', stat: 'fish', target: 1000, reward: 100 },
+    { id: 'fish_100k', name: 'Рыбный магнат', description: 'Поймать 100 000 рыбок', stat: 'fish', target: 100000, reward: 2000 },
+    { id: 'fish_1m', name: 'Повелитель океана', description: 'Поймать 1 000 000 рыбок', stat: 'fish', target: 1000000, reward: 20000 },
+    { id: 'upgrades_10', name: 'Инженер', description: 'Купить 10 улучшений', stat: 'upgrades', target: 10, reward: 200 },
+    { id: 'upgrades_50', name: 'Конструктор', description: 'Купить 50 улучшений', stat: 'upgrades', target: 50, reward: 1000 },
+    { id: 'skins_3', name: 'Модник', description: 'Собрать 3 скина', stat: 'skins', target: 3, reward: 300 },
+    { id: 'skins_all', name: 'Коллекционер', description: 'Собрать все скины', stat: 'skins', target: SKINS.length, reward: 3000 },
+    { id: 'battle_win_1', name: 'Первая победа', description: 'Выиграть баттл', stat: 'battleWins', target: 1, reward: 100 },
+    { id: 'battle_win_25', name: 'Гладиатор', description: 'Выиграть 25 баттлов', stat: 'battleWins', target: 25, reward: 1500 },
+    { id: 'clan_founder', name: 'Основатель', description: 'Основать клан', stat: 'clansFounded', target: 1, reward: 500 },
+    { id: 'task_streak_3', name: 'Три дня подряд', description: 'Выполнять задания 3 дня подряд', stat: 'taskStreak', target: 3, reward: 300 },
+    { id: 'task_streak_7', name: 'Неделя без пропусков', description: 'Выполнять задания 7 дней подряд', stat: 'taskStreak', target: 7, reward: 1000 }
+];
+
+// Каталог улучшений - совпадает с массивом upgrades на клиенте
+const UPGRADES = [
+    { id: 1, name: 'Улучшенные когти', cost: 10, power: 1, type: 'click' },
+    { id: 2, name: 'Автоматическая рыбалка', cost: 50, power: 1, type: 'auto' },
+    { id: 3, name: 'Кошачий азарт', cost: 100, power: 0, type: 'boost', duration: 10 },
+    { id: 4, name: 'Космический удочник', cost: 500, power: 5, type: 'auto' },
+    { id: 5, name: 'Рыбный магнит', cost: 1000, power: 5, type: 'click' },
+    { id: 6, name: 'Галактический бустер', cost: 2000, power: 0, type: 'boost', duration: 30 },
+    { id: 7, name: 'Космический корабль', cost: 5000, power: 10, type: 'auto' },
+    { id: 8, name: 'Рыбный детектор', cost: 10000, power: 20, type: 'click' }
+];
+
 // --- ИНИЦИАЛИЗАЦИЯ БАЗЫ ДАННЫХ ---
 db.exec(`
 CREATE TABLE IF NOT EXISTS players (
@@ -69,7 +263,9 @@ CREATE TABLE IF NOT EXISTS players (
     clickPower INTEGER DEFAULT 1,
     autoPower INTEGER DEFAULT 0,
     currentSkin TEXT DEFAULT 'default',
-    joinedAt TEXT
+    joinedAt TEXT,
+    token TEXT,
+    lastSeen TEXT
 );
 
 CREATE TABLE IF NOT EXISTS clans (
@@ -86,13 +282,246 @@ CREATE TABLE IF NOT EXISTS clan_members (
     PRIMARY KEY (clanId, playerId)
 );
 
+CREATE TABLE IF NOT EXISTS player_upgrades (
+    playerId TEXT,
+    upgradeId INTEGER,
+    owned INTEGER DEFAULT 0,
+    PRIMARY KEY (playerId, upgradeId)
+);
+
+CREATE TABLE IF NOT EXISTS player_skins (
+    playerId TEXT,
+    skinId TEXT,
+    acquiredAt TEXT,
+    PRIMARY KEY (playerId, skinId)
+);
+
+CREATE TABLE IF NOT EXISTS clan_perks (
+    clanId INTEGER,
+    perkId TEXT,
+    level INTEGER DEFAULT 0,
+    PRIMARY KEY (clanId, perkId)
+);
+
+CREATE TABLE IF NOT EXISTS battles (
+    id TEXT PRIMARY KEY,
+    player1Id TEXT,
+    player1Name TEXT,
+    player2Id TEXT,
+    player2Name TEXT,
+    winnerId TEXT,
+    status TEXT,
+    turns INTEGER,
+    reward INTEGER DEFAULT 0,
+    wager INTEGER DEFAULT 0,
+    ranked INTEGER DEFAULT 0,
+    startedAt TEXT,
+    endedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS battle_actions (
+    battleId TEXT,
+    seq INTEGER,
+    turn INTEGER,
+    type TEXT,
+    data TEXT,
+    createdAt TEXT,
+    PRIMARY KEY (battleId, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_battles_player1 ON battles(player1Id);
+CREATE INDEX IF NOT EXISTS idx_battles_player2 ON battles(player2Id);
+
+CREATE TABLE IF NOT EXISTS battle_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    battleId TEXT,
+    playerId TEXT,
+    type TEXT,
+    amount INTEGER,
+    createdAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS clan_wars (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    clanA INTEGER,
+    clanB INTEGER,
+    status TEXT DEFAULT 'pending',
+    scoreA INTEGER DEFAULT 0,
+    scoreB INTEGER DEFAULT 0,
+    declaredBy TEXT,
+    winnerClanId INTEGER,
+    createdAt TEXT,
+    startedAt TEXT,
+    endsAt TEXT,
+    finishedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS clan_join_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    clanId INTEGER,
+    playerId TEXT,
+    status TEXT DEFAULT 'pending',
+    createdAt TEXT,
+    resolvedAt TEXT,
+    resolvedBy TEXT
+);
+
+CREATE TABLE IF NOT EXISTS clan_invites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    clanId INTEGER,
+    playerId TEXT,
+    invitedBy TEXT,
+    status TEXT DEFAULT 'pending',
+    createdAt TEXT,
+    resolvedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    status TEXT DEFAULT 'signup',
+    seeding TEXT,
+    rounds INTEGER DEFAULT 0,
+    currentRound INTEGER DEFAULT 0,
+    winnerId TEXT,
+    createdAt TEXT,
+    signupEndsAt TEXT,
+    startedAt TEXT,
+    finishedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS tournament_players (
+    tournamentId INTEGER,
+    playerId TEXT,
+    name TEXT,
+    rating INTEGER,
+    seed INTEGER,
+    place INTEGER,
+    prize INTEGER DEFAULT 0,
+    eliminatedRound INTEGER,
+    registeredAt TEXT,
+    PRIMARY KEY (tournamentId, playerId)
+);
+
+CREATE TABLE IF NOT EXISTS tournament_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournamentId INTEGER,
+    round INTEGER,
+    slot INTEGER,
+    player1Id TEXT,
+    player2Id TEXT,
+    winnerId TEXT,
+    battleId TEXT,
+    status TEXT DEFAULT 'pending',
+    result TEXT,
+    readySince TEXT,
+    finishedAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_matches ON tournament_matches(tournamentId, round, slot);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel TEXT,
+    senderId TEXT,
+    senderName TEXT,
+    recipientId TEXT,
+    recipientName TEXT,
+    message TEXT,
+    watchBattleId TEXT,
+    createdAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_channel ON chat_messages(channel, id);
+
+CREATE TABLE IF NOT EXISTS chat_sanctions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    playerId TEXT,
+    type TEXT,
+    reason TEXT,
+    issuedBy TEXT,
+    createdAt TEXT,
+    expiresAt TEXT,
+    revokedAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sanctions_player ON chat_sanctions(playerId, type);
+
+CREATE TABLE IF NOT EXISTS chat_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    messageId INTEGER,
+    channel TEXT,
+    reporterId TEXT,
+    reportedId TEXT,
+    reportedName TEXT,
+    message TEXT,
+    reason TEXT,
+    status TEXT DEFAULT 'open',
+    createdAt TEXT,
+    resolvedAt TEXT,
+    resolution TEXT
+);
+
+CREATE TABLE IF NOT EXISTS chat_filter_words (
+    word TEXT PRIMARY KEY,
+    createdAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS player_achievements (
+    playerId TEXT,
+    achievementId TEXT,
+    unlockedAt TEXT,
+    PRIMARY KEY (playerId, achievementId)
+);
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    status TEXT DEFAULT 'scheduled',
+    startsAt TEXT,
+    endsAt TEXT,
+    finishedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS season_scores (
+    seasonId INTEGER,
+    playerId TEXT,
+    score INTEGER DEFAULT 0,
+    PRIMARY KEY (seasonId, playerId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_scores_score ON season_scores(seasonId, score);
+
+CREATE TABLE IF NOT EXISTS season_results (
+    seasonId INTEGER,
+    playerId TEXT,
+    name TEXT,
+    rank INTEGER,
+    score INTEGER,
+    reward INTEGER DEFAULT 0,
+    PRIMARY KEY (seasonId, playerId)
+);
+
+CREATE TABLE IF NOT EXISTS game_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    multiplier REAL DEFAULT 1,
+    status TEXT DEFAULT 'scheduled',
+    startsAt TEXT,
+    endsAt TEXT,
+    createdAt TEXT
+);
+
 CREATE TABLE IF NOT EXISTS daily_tasks (
     id INTEGER PRIMARY KEY,
     title TEXT,
     description TEXT,
     reward INTEGER,
     repeat_interval_days INTEGER DEFAULT 1,
-    createdAt TEXT
+    createdAt TEXT,
+    goal_type TEXT,
+    target INTEGER DEFAULT 1,
+    active INTEGER DEFAULT 1
 );
 
 CREATE TABLE IF NOT EXISTS player_tasks (
@@ -100,176 +529,1898 @@ CREATE TABLE IF NOT EXISTS player_tasks (
     playerId TEXT,
     taskId INTEGER,
     status TEXT,
-    lastCompletedAt TEXT
+    lastCompletedAt TEXT,
+    progress INTEGER DEFAULT 0,
+    day TEXT
+);
+
+CREATE TABLE IF NOT EXISTS player_daily_tasks (
+    playerId TEXT,
+    day TEXT,
+    taskId INTEGER,
+    PRIMARY KEY (playerId, day, taskId)
 );
 `);
 
-// Seed simple daily tasks if table empty
-const taskCount = db.prepare('SELECT COUNT(*) as c FROM daily_tasks').get().c;
-if (taskCount === 0) {
-    const insertTask = db.prepare('INSERT INTO daily_tasks (id, title, description, reward, repeat_interval_days, createdAt) VALUES (?, ?, ?, ?, ?, ?)');
-    insertTask.run(1, 'Поймать 50 рыбок', 'Соберите 50 рыбок за день', 100, 1, new Date().toISOString());
-    insertTask.run(2, 'Сделать 100 кликов', 'Совершите 100 кликов за день', 150, 1, new Date().toISOString());
-    insertTask.run(3, 'Победить в 1 баттле', 'Выиграйте один баттл', 200, 1, new Date().toISOString());
+// Добавляет колонку в уже существующую таблицу (для баз, созданных до появления колонки)
+function ensureColumn(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
 }
 
+ensureColumn('players', 'token', 'TEXT');
+ensureColumn('players', 'lastSeen', 'TEXT');
+ensureColumn('daily_tasks', 'goal_type', 'TEXT');
+ensureColumn('daily_tasks', 'target', 'INTEGER DEFAULT 1');
+ensureColumn('clan_members', 'joinedAt', 'TEXT');
+ensureColumn('clans', 'joinPolicy', "TEXT DEFAULT 'open'");
+ensureColumn('clans', 'maxMembers', `INTEGER DEFAULT ${CLAN_CONFIG.DEFAULT_MAX_MEMBERS}`);
+ensureColumn('clans', 'treasury', 'INTEGER DEFAULT 0');
+ensureColumn('clan_members', 'contributed', 'INTEGER DEFAULT 0');
+ensureColumn('players', 'battleWins', 'INTEGER DEFAULT 0');
+ensureColumn('players', 'rating', `INTEGER DEFAULT ${MATCHMAKING_CONFIG.INITIAL_RATING}`);
+ensureColumn('daily_tasks', 'active', 'INTEGER DEFAULT 1');
+ensureColumn('player_tasks', 'progress', 'INTEGER DEFAULT 0');
+ensureColumn('player_tasks', 'day', 'TEXT');
+ensureColumn('players', 'taskStreak', 'INTEGER DEFAULT 0');
+ensureColumn('players', 'lastStreakDay', 'TEXT');
+ensureColumn('players', 'totalCaught', 'INTEGER');
+// Для старых аккаунтов улов за всё время не считался - текущий баланс служит нижней оценкой
+db.exec('UPDATE players SET totalCaught = resources WHERE totalCaught IS NULL');
+ensureColumn('players', 'prestigeLevel', 'INTEGER DEFAULT 0');
+ensureColumn('players', 'prestigePoints', 'INTEGER DEFAULT 0');
+ensureColumn('seasons', 'endedManually', 'INTEGER DEFAULT 0');
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_players_token ON players(token)');
+
+// Базовый пул ежедневных заданий. Новые задания добавляются через POST /admin/tasks
+const TASK_POOL_SEED = [
+    [1, 'Поймать 50 рыбок', 'Соберите 50 рыбок за день', 100, 'fish', 50],
+    [2, 'Сделать 100 кликов', 'Совершите 100 кликов за день', 150, 'clicks', 100],
+    [3, 'Победить в 1 баттле', 'Выиграйте один баттл', 200, 'battle_wins', 1],
+    [4, 'Поймать 500 рыбок', 'Соберите 500 рыбок за день', 300, 'fish', 500],
+    [5, 'Сделать 250 кликов', 'Совершите 250 кликов за день', 250, 'clicks', 250],
+    [6, 'Сделать 500 кликов', 'Совершите 500 кликов за день', 400, 'clicks', 500],
+    [7, 'Победить в 3 баттлах', 'Выиграйте три баттла за день', 500, 'battle_wins', 3],
+    [8, 'Поймать 2000 рыбок', 'Соберите 2000 рыбок за день', 600, 'fish', 2000]
+];
+const seedTask = db.prepare(`INSERT OR IGNORE INTO daily_tasks (id, title, description, reward, repeat_interval_days, createdAt, goal_type, target)
+    VALUES (?, ?, ?, ?, 1, ?, ?, ?)`);
+const setTaskGoal = db.prepare('UPDATE daily_tasks SET goal_type = ?, target = ? WHERE id = ? AND goal_type IS NULL');
+TASK_POOL_SEED.forEach(([id, title, description, reward, goalType, target]) => {
+    seedTask.run(id, title, description, reward, new Date().toISOString(), goalType, target);
+    // Задания из старых баз без цели
+    setTaskGoal.run(goalType, target, id);
+});
+
 // Helper statements
-const upsertPlayerStmt = db.prepare(`INSERT INTO players(id, name, resources, clickPower, autoPower, currentSkin, joinedAt)
-    VALUES (@id, @name, @resources, @clickPower, @autoPower, @currentSkin, @joinedAt)
+const upsertPlayerStmt = db.prepare(`INSERT INTO players(id, name, resources, clickPower, autoPower, currentSkin, joinedAt, lastSeen, totalCaught)
+    VALUES (@id, @name, @resources, @clickPower, @autoPower, @currentSkin, @joinedAt, @lastSeen, @totalCaught)
     ON CONFLICT(id) DO UPDATE SET
         name=excluded.name,
         resources=excluded.resources,
         clickPower=excluded.clickPower,
         autoPower=excluded.autoPower,
-        currentSkin=excluded.currentSkin
+        currentSkin=excluded.currentSkin,
+        lastSeen=excluded.lastSeen,
+        totalCaught=excluded.totalCaught
 `);
 
-const getTopPlayersStmt = db.prepare('SELECT id, name, resources FROM players ORDER BY resources DESC LIMIT ?');
+// Порядок лидерборда: рыбки по убыванию, при равенстве - id (чтобы место было однозначным)
+db.exec('CREATE INDEX IF NOT EXISTS idx_players_resources ON players(resources DESC, id)');
+const getLeaderboardPageStmt = db.prepare('SELECT id, name, resources, prestigeLevel FROM players ORDER BY resources DESC, id LIMIT ? OFFSET ?');
+const countPlayersStmt = db.prepare('SELECT COUNT(*) AS c FROM players');
+const countPlayersAheadStmt = db.prepare(`SELECT (SELECT COUNT(*) FROM players WHERE resources > @resources)
+    + (SELECT COUNT(*) FROM players WHERE resources = @resources AND id < @id) AS c`);
+const getPlayersAboveStmt = db.prepare(`SELECT id, name, resources, prestigeLevel FROM players
+    WHERE resources >= @resources AND NOT (resources = @resources AND id >= @id) ORDER BY resources ASC, id DESC LIMIT @limit`);
+const getPlayersBelowStmt = db.prepare(`SELECT id, name, resources, prestigeLevel FROM players
+    WHERE resources <= @resources AND NOT (resources = @resources AND id <= @id) ORDER BY resources DESC, id LIMIT @limit`);
+const getPrestigeLadderStmt = db.prepare(`SELECT id, name, prestigeLevel, prestigePoints, resources FROM players WHERE prestigeLevel > 0
+    ORDER BY prestigePoints DESC, prestigeLevel DESC, resources DESC LIMIT ?`);
+const updatePlayerPrestigeStmt = db.prepare('UPDATE players SET prestigeLevel = ?, prestigePoints = ? WHERE id = ?');
+const deletePlayerUpgradesStmt = db.prepare('DELETE FROM player_upgrades WHERE playerId = ?');
 const getPlayerStmt = db.prepare('SELECT * FROM players WHERE id = ?');
+const getPlayerByTokenStmt = db.prepare('SELECT * FROM players WHERE token = ?');
+const updatePlayerTokenStmt = db.prepare('UPDATE players SET token = ? WHERE id = ?');
 const updatePlayerResourcesStmt = db.prepare('UPDATE players SET resources = ? WHERE id = ?');
 const insertClanStmt = db.prepare('INSERT INTO clans (name, ownerId, createdAt) VALUES (?, ?, ?)');
 const getClansStmt = db.prepare('SELECT * FROM clans');
-const getClanMembersStmt = db.prepare('SELECT p.id, p.name, cm.role FROM clan_members cm JOIN players p ON cm.playerId = p.id WHERE cm.clanId = ?');
-const addClanMemberStmt = db.prepare('INSERT OR REPLACE INTO clan_members (clanId, playerId, role) VALUES (?, ?, ?)');
+const getClanStmt = db.prepare('SELECT * FROM clans WHERE id = ?');
+const getClanMembersStmt = db.prepare(`SELECT p.id, p.name, cm.role, cm.joinedAt, cm.contributed FROM clan_members cm JOIN players p ON cm.playerId = p.id WHERE cm.clanId = ?
+    ORDER BY CASE cm.role WHEN 'owner' THEN 0 WHEN 'officer' THEN 1 ELSE 2 END, cm.joinedAt`);
+const addClanMemberStmt = db.prepare('INSERT OR REPLACE INTO clan_members (clanId, playerId, role, joinedAt) VALUES (?, ?, ?, ?)');
+const getPlayerClanMembershipStmt = db.prepare(`SELECT cm.clanId, cm.playerId, cm.role, cm.joinedAt, c.name AS clanName
+    FROM clan_members cm JOIN clans c ON c.id = cm.clanId WHERE cm.playerId = ? ORDER BY cm.joinedAt LIMIT 1`);
+const getClanMemberStmt = db.prepare('SELECT * FROM clan_members WHERE clanId = ? AND playerId = ?');
+const getClanSuccessorStmt = db.prepare(`SELECT * FROM clan_members WHERE clanId = ? AND playerId != ?
+    ORDER BY CASE role WHEN 'officer' THEN 0 ELSE 1 END, joinedAt LIMIT 1`);
+const updateClanMemberRoleStmt = db.prepare('UPDATE clan_members SET role = ? WHERE clanId = ? AND playerId = ?');
+const removeClanMemberStmt = db.prepare('DELETE FROM clan_members WHERE clanId = ? AND playerId = ?');
+const removeAllClanMembersStmt = db.prepare('DELETE FROM clan_members WHERE clanId = ?');
+const updateClanOwnerStmt = db.prepare('UPDATE clans SET ownerId = ? WHERE id = ?');
+const deleteClanStmt = db.prepare('DELETE FROM clans WHERE id = ?');
+const addClanTreasuryStmt = db.prepare('UPDATE clans SET treasury = treasury + ? WHERE id = ?');
+const addClanContributionStmt = db.prepare('UPDATE clan_members SET contributed = contributed + ? WHERE clanId = ? AND playerId = ?');
+const getClanPerksStmt = db.prepare('SELECT perkId, level FROM clan_perks WHERE clanId = ?');
+const upsertClanPerkStmt = db.prepare('INSERT OR REPLACE INTO clan_perks (clanId, perkId, level) VALUES (?, ?, ?)');
+const deleteClanPerksStmt = db.prepare('DELETE FROM clan_perks WHERE clanId = ?');
+const getPlayerClanPerksStmt = db.prepare('SELECT cp.perkId, cp.level FROM clan_members cm JOIN clan_perks cp ON cp.clanId = cm.clanId WHERE cm.playerId = ?');
+const insertBattleStmt = db.prepare(`INSERT OR REPLACE INTO battles
+    (id, player1Id, player1Name, player2Id, player2Name, winnerId, status, turns, reward, wager, ranked, startedAt, endedAt)
+    VALUES (@id, @player1Id, @player1Name, @player2Id, @player2Name, @winnerId, @status, @turns, @reward, @wager, @ranked, @startedAt, @endedAt)`);
+const insertBattleActionStmt = db.prepare('INSERT OR REPLACE INTO battle_actions (battleId, seq, turn, type, data, createdAt) VALUES (?, ?, ?, ?, ?, ?)');
+const getBattleRecordStmt = db.prepare('SELECT * FROM battles WHERE id = ?');
+const getBattleActionsStmt = db.prepare('SELECT seq, turn, type, data, createdAt FROM battle_actions WHERE battleId = ? ORDER BY seq');
+const getPlayerBattleHistoryStmt = db.prepare(`SELECT * FROM battles WHERE player1Id = @playerId OR player2Id = @playerId
+    ORDER BY endedAt DESC LIMIT @limit OFFSET @offset`);
+const getPlayerBattleRecordStmt = db.prepare(`SELECT COUNT(*) AS total,
+    SUM(CASE WHEN winnerId = @playerId THEN 1 ELSE 0 END) AS wins,
+    SUM(CASE WHEN status = 'finished' AND winnerId IS NULL THEN 1 ELSE 0 END) AS draws,
+    SUM(CASE WHEN status = 'finished' AND winnerId IS NOT NULL AND winnerId != @playerId THEN 1 ELSE 0 END) AS losses
+    FROM battles WHERE player1Id = @playerId OR player2Id = @playerId`);
+const insertLedgerEntryStmt = db.prepare('INSERT INTO battle_ledger (battleId, playerId, type, amount, createdAt) VALUES (?, ?, ?, ?, ?)');
+const getBattleLedgerStmt = db.prepare('SELECT * FROM battle_ledger WHERE battleId = ? ORDER BY id');
+const updatePlayerRatingStmt = db.prepare('UPDATE players SET rating = ? WHERE id = ?');
+const getRankedLadderStmt = db.prepare('SELECT id, name, rating, battleWins FROM players ORDER BY rating DESC, battleWins DESC LIMIT ?');
+const incrementBattleWinsStmt = db.prepare('UPDATE players SET battleWins = battleWins + 1 WHERE id = ?');
+const addPlayerResourcesStmt = db.prepare('UPDATE players SET resources = resources + ? WHERE id = ?');
+const getClanLeaderboardStmt = db.prepare(`SELECT c.id, c.name, c.treasury, COUNT(p.id) AS members,
+    COALESCE(SUM(p.resources), 0) AS totalFish, COALESCE(SUM(p.battleWins), 0) AS battleWins
+    FROM clans c LEFT JOIN clan_members cm ON cm.clanId = c.id LEFT JOIN players p ON p.id = cm.playerId
+    GROUP BY c.id`);
+const insertClanWarStmt = db.prepare("INSERT INTO clan_wars (clanA, clanB, status, declaredBy, createdAt) VALUES (?, ?, 'pending', ?, ?)");
+const getClanWarStmt = db.prepare(`SELECT w.*, a.name AS clanAName, b.name AS clanBName FROM clan_wars w
+    LEFT JOIN clans a ON a.id = w.clanA LEFT JOIN clans b ON b.id = w.clanB WHERE w.id = ?`);
+const getOpenClanWarStmt = db.prepare("SELECT * FROM clan_wars WHERE (clanA = ? OR clanB = ?) AND status IN ('pending', 'active')");
+const getActiveWarBetweenStmt = db.prepare(`SELECT * FROM clan_wars WHERE status = 'active'
+    AND ((clanA = ? AND clanB = ?) OR (clanA = ? AND clanB = ?))`);
+const getExpiredClanWarsStmt = db.prepare("SELECT * FROM clan_wars WHERE status = 'active' AND endsAt <= ?");
+const getClanWarsStmt = db.prepare(`SELECT w.*, a.name AS clanAName, b.name AS clanBName FROM clan_wars w
+    LEFT JOIN clans a ON a.id = w.clanA LEFT JOIN clans b ON b.id = w.clanB
+    ORDER BY CASE w.status WHEN 'active' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, w.id DESC LIMIT ?`);
+const getClanWarsForClanStmt = db.prepare(`SELECT w.*, a.name AS clanAName, b.name AS clanBName FROM clan_wars w
+    LEFT JOIN clans a ON a.id = w.clanA LEFT JOIN clans b ON b.id = w.clanB
+    WHERE w.clanA = ? OR w.clanB = ?
+    ORDER BY CASE w.status WHEN 'active' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, w.id DESC LIMIT ?`);
+const startClanWarStmt = db.prepare("UPDATE clan_wars SET status = 'active', startedAt = ?, endsAt = ? WHERE id = ?");
+const setClanWarStatusStmt = db.prepare('UPDATE clan_wars SET status = ?, finishedAt = ? WHERE id = ?');
+const addClanWarScoreStmt = db.prepare('UPDATE clan_wars SET scoreA = scoreA + ?, scoreB = scoreB + ? WHERE id = ?');
+const finishClanWarStmt = db.prepare("UPDATE clan_wars SET status = 'finished', winnerClanId = ?, finishedAt = ? WHERE id = ?");
+const cancelClanWarsStmt = db.prepare("UPDATE clan_wars SET status = 'cancelled', finishedAt = ? WHERE (clanA = ? OR clanB = ?) AND status IN ('pending', 'active')");
+const countClanMembersStmt = db.prepare('SELECT COUNT(*) AS c FROM clan_members WHERE clanId = ?');
+const updateClanSettingsStmt = db.prepare('UPDATE clans SET joinPolicy = ?, maxMembers = ? WHERE id = ?');
+const insertJoinRequestStmt = db.prepare("INSERT INTO clan_join_requests (clanId, playerId, status, createdAt) VALUES (?, ?, 'pending', ?)");
+const getJoinRequestStmt = db.prepare('SELECT * FROM clan_join_requests WHERE id = ?');
+const getPendingJoinRequestStmt = db.prepare("SELECT * FROM clan_join_requests WHERE clanId = ? AND playerId = ? AND status = 'pending'");
+const getClanJoinRequestsStmt = db.prepare(`SELECT r.id, r.clanId, r.playerId, p.name AS playerName, r.createdAt
+    FROM clan_join_requests r JOIN players p ON p.id = r.playerId WHERE r.clanId = ? AND r.status = 'pending' ORDER BY r.createdAt`);
+const resolveJoinRequestStmt = db.prepare('UPDATE clan_join_requests SET status = ?, resolvedAt = ?, resolvedBy = ? WHERE id = ?');
+const insertClanInviteStmt = db.prepare("INSERT INTO clan_invites (clanId, playerId, invitedBy, status, createdAt) VALUES (?, ?, ?, 'pending', ?)");
+const getClanInviteStmt = db.prepare('SELECT * FROM clan_invites WHERE id = ?');
+const getPendingClanInviteStmt = db.prepare("SELECT * FROM clan_invites WHERE clanId = ? AND playerId = ? AND status = 'pending'");
+const getPlayerInvitesStmt = db.prepare(`SELECT i.id, i.clanId, c.name AS clanName, i.invitedBy, p.name AS invitedByName, i.createdAt
+    FROM clan_invites i JOIN clans c ON c.id = i.clanId LEFT JOIN players p ON p.id = i.invitedBy
+    WHERE i.playerId = ? AND i.status = 'pending' ORDER BY i.createdAt`);
+const resolveClanInviteStmt = db.prepare('UPDATE clan_invites SET status = ?, resolvedAt = ? WHERE id = ?');
+const cancelPlayerJoinRequestsStmt = db.prepare("UPDATE clan_join_requests SET status = 'cancelled', resolvedAt = ? WHERE playerId = ? AND status = 'pending'");
+const cancelPlayerInvitesStmt = db.prepare("UPDATE clan_invites SET status = 'cancelled', resolvedAt = ? WHERE playerId = ? AND status = 'pending'");
+const cancelClanJoinRequestsStmt = db.prepare("UPDATE clan_join_requests SET status = 'cancelled', resolvedAt = ? WHERE clanId = ? AND status = 'pending'");
+const cancelClanInvitesStmt = db.prepare("UPDATE clan_invites SET status = 'cancelled', resolvedAt = ? WHERE clanId = ? AND status = 'pending'");
+const insertTournamentStmt = db.prepare("INSERT INTO tournaments (name, status, seeding, createdAt, signupEndsAt) VALUES (?, 'signup', ?, ?, ?)");
+const getTournamentStmt = db.prepare('SELECT * FROM tournaments WHERE id = ?');
+const getOpenTournamentStmt = db.prepare("SELECT * FROM tournaments WHERE status IN ('signup', 'running') ORDER BY id LIMIT 1");
+const getTournamentsStmt = db.prepare(`SELECT t.*, (SELECT COUNT(*) FROM tournament_players tp WHERE tp.tournamentId = t.id) AS playerCount
+    FROM tournaments t ORDER BY t.id DESC LIMIT ?`);
+const startTournamentStmt = db.prepare("UPDATE tournaments SET status = 'running', rounds = ?, currentRound = 1, startedAt = ? WHERE id = ?");
+const setTournamentRoundStmt = db.prepare('UPDATE tournaments SET currentRound = ? WHERE id = ?');
+const finishTournamentStmt = db.prepare("UPDATE tournaments SET status = 'finished', winnerId = ?, finishedAt = ? WHERE id = ?");
+const cancelTournamentStmt = db.prepare("UPDATE tournaments SET status = 'cancelled', finishedAt = ? WHERE id = ?");
+const insertTournamentPlayerStmt = db.prepare('INSERT INTO tournament_players (tournamentId, playerId, name, rating, registeredAt) VALUES (?, ?, ?, ?, ?)');
+const deleteTournamentPlayerStmt = db.prepare('DELETE FROM tournament_players WHERE tournamentId = ? AND playerId = ?');
+const getTournamentPlayerStmt = db.prepare('SELECT * FROM tournament_players WHERE tournamentId = ? AND playerId = ?');
+const getTournamentPlayersStmt = db.prepare('SELECT * FROM tournament_players WHERE tournamentId = ? ORDER BY seed, registeredAt');
+const setTournamentSeedStmt = db.prepare('UPDATE tournament_players SET seed = ? WHERE tournamentId = ? AND playerId = ?');
+const eliminateTournamentPlayerStmt = db.prepare('UPDATE tournament_players SET eliminatedRound = ? WHERE tournamentId = ? AND playerId = ?');
+const setTournamentPlaceStmt = db.prepare('UPDATE tournament_players SET place = ?, prize = ? WHERE tournamentId = ? AND playerId = ?');
+const insertTournamentMatchStmt = db.prepare(`INSERT INTO tournament_matches (tournamentId, round, slot, player1Id, player2Id, winnerId, status, result, readySince, finishedAt)
+    VALUES (@tournamentId, @round, @slot, @player1Id, @player2Id, @winnerId, @status, @result, @readySince, @finishedAt)`);
+const getTournamentMatchStmt = db.prepare('SELECT * FROM tournament_matches WHERE id = ?');
+const getTournamentMatchesStmt = db.prepare('SELECT * FROM tournament_matches WHERE tournamentId = ? ORDER BY round, slot');
+const getTournamentRoundStmt = db.prepare('SELECT * FROM tournament_matches WHERE tournamentId = ? AND round = ? ORDER BY slot');
+const setTournamentMatchBattleStmt = db.prepare("UPDATE tournament_matches SET status = 'active', battleId = ? WHERE id = ?");
+const resetTournamentMatchStmt = db.prepare("UPDATE tournament_matches SET status = 'pending', battleId = NULL, readySince = ? WHERE id = ?");
+const finishTournamentMatchStmt = db.prepare("UPDATE tournament_matches SET status = 'finished', winnerId = ?, result = ?, finishedAt = ? WHERE id = ?");
+const resetActiveTournamentMatchesStmt = db.prepare("UPDATE tournament_matches SET status = 'pending', battleId = NULL, readySince = ? WHERE status = 'active'");
+const insertChatMessageStmt = db.prepare(`INSERT INTO chat_messages (channel, senderId, senderName, recipientId, recipientName, message, watchBattleId, createdAt)
+    VALUES (@channel, @senderId, @senderName, @recipientId, @recipientName, @message, @watchBattleId, @createdAt)`);
+const getChatHistoryStmt = db.prepare('SELECT * FROM (SELECT * FROM chat_messages WHERE channel = ? ORDER BY id DESC LIMIT ?) ORDER BY id');
+const getDirectChatHistoryStmt = db.prepare(`SELECT * FROM (SELECT * FROM chat_messages WHERE channel LIKE 'dm:%' AND (senderId = @playerId OR recipientId = @playerId)
+    ORDER BY id DESC LIMIT @limit) ORDER BY id`);
+const pruneChatChannelStmt = db.prepare(`DELETE FROM chat_messages WHERE channel = @channel AND id <=
+    (SELECT id FROM chat_messages WHERE channel = @channel ORDER BY id DESC LIMIT 1 OFFSET @limit)`);
+const getChatMessageStmt = db.prepare('SELECT * FROM chat_messages WHERE id = ?');
+const insertSanctionStmt = db.prepare('INSERT INTO chat_sanctions (playerId, type, reason, issuedBy, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?, ?)');
+const getSanctionStmt = db.prepare('SELECT * FROM chat_sanctions WHERE id = ?');
+const getActiveSanctionStmt = db.prepare(`SELECT * FROM chat_sanctions WHERE playerId = ? AND type = ? AND revokedAt IS NULL
+    AND (expiresAt IS NULL OR expiresAt > ?) ORDER BY expiresAt IS NULL DESC, expiresAt DESC LIMIT 1`);
+const getActiveSanctionsStmt = db.prepare(`SELECT s.*, p.name AS playerName FROM chat_sanctions s LEFT JOIN players p ON p.id = s.playerId
+    WHERE s.revokedAt IS NULL AND (s.expiresAt IS NULL OR s.expiresAt > ?) ORDER BY s.id DESC`);
+const revokeSanctionStmt = db.prepare('UPDATE chat_sanctions SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL');
+const insertReportStmt = db.prepare(`INSERT INTO chat_reports (messageId, channel, reporterId, reportedId, reportedName, message, reason, status, createdAt)
+    VALUES (@messageId, @channel, @reporterId, @reportedId, @reportedName, @message, @reason, 'open', @createdAt)`);
+const getReportStmt = db.prepare('SELECT * FROM chat_reports WHERE id = ?');
+const getDuplicateReportStmt = db.prepare('SELECT id FROM chat_reports WHERE messageId = ? AND reporterId = ?');
+const getReportsByStatusStmt = db.prepare('SELECT * FROM chat_reports WHERE status = ? ORDER BY id LIMIT ?');
+const resolveReportStmt = db.prepare('UPDATE chat_reports SET status = ?, resolution = ?, resolvedAt = ? WHERE id = ?');
+const getFilterWordsStmt = db.prepare('SELECT word FROM chat_filter_words ORDER BY word');
+const insertFilterWordStmt = db.prepare('INSERT OR IGNORE INTO chat_filter_words (word, createdAt) VALUES (?, ?)');
+const deleteFilterWordStmt = db.prepare('DELETE FROM chat_filter_words WHERE word = ?');
+const getPlayerAchievementsStmt = db.prepare('SELECT achievementId, unlockedAt FROM player_achievements WHERE playerId = ?');
+const insertPlayerAchievementStmt = db.prepare('INSERT OR IGNORE INTO player_achievements (playerId, achievementId, unlockedAt) VALUES (?, ?, ?)');
+const insertSeasonStmt = db.prepare("INSERT INTO seasons (name, status, startsAt, endsAt) VALUES (?, 'scheduled', ?, ?)");
+const getSeasonStmt = db.prepare('SELECT * FROM seasons WHERE id = ?');
+const getActiveSeasonStmt = db.prepare("SELECT * FROM seasons WHERE status = 'active' ORDER BY id LIMIT 1");
+const getDueSeasonStmt = db.prepare("SELECT * FROM seasons WHERE status = 'scheduled' AND startsAt <= ? ORDER BY startsAt LIMIT 1");
+const getScheduledSeasonStmt = db.prepare("SELECT * FROM seasons WHERE status = 'scheduled' ORDER BY startsAt LIMIT 1");
+const getSeasonsStmt = db.prepare('SELECT * FROM seasons ORDER BY id DESC LIMIT ?');
+const countSeasonsStmt = db.prepare('SELECT COUNT(*) AS c FROM seasons');
+const setSeasonStatusStmt = db.prepare('UPDATE seasons SET status = ? WHERE id = ?');
+const finishSeasonStmt = db.prepare("UPDATE seasons SET status = 'finished', finishedAt = ?, endedManually = ? WHERE id = ?");
+const addSeasonScoreStmt = db.prepare(`INSERT INTO season_scores (seasonId, playerId, score) VALUES (?, ?, ?)
+    ON CONFLICT(seasonId, playerId) DO UPDATE SET score = score + excluded.score`);
+const getSeasonStandingsStmt = db.prepare(`SELECT s.playerId, p.name, s.score FROM season_scores s JOIN players p ON p.id = s.playerId
+    WHERE s.seasonId = ? AND s.score > 0 ORDER BY s.score DESC, s.playerId LIMIT ?`);
+const insertSeasonResultStmt = db.prepare('INSERT OR REPLACE INTO season_results (seasonId, playerId, name, rank, score, reward) VALUES (?, ?, ?, ?, ?, ?)');
+const getSeasonResultsStmt = db.prepare('SELECT * FROM season_results WHERE seasonId = ? ORDER BY rank LIMIT ?');
+const insertGameEventStmt = db.prepare("INSERT INTO game_events (name, multiplier, status, startsAt, endsAt, createdAt) VALUES (?, ?, 'scheduled', ?, ?, ?)");
+const getGameEventStmt = db.prepare('SELECT * FROM game_events WHERE id = ?');
+const getGameEventByStartStmt = db.prepare('SELECT * FROM game_events WHERE name = ? AND startsAt = ?');
+const getDueGameEventsStmt = db.prepare("SELECT * FROM game_events WHERE status = 'scheduled' AND startsAt <= ? ORDER BY startsAt");
+const getExpiredGameEventsStmt = db.prepare("SELECT * FROM game_events WHERE status = 'active' AND endsAt <= ?");
+const getActiveGameEventsStmt = db.prepare("SELECT * FROM game_events WHERE status = 'active' ORDER BY endsAt");
+const getUpcomingGameEventsStmt = db.prepare("SELECT * FROM game_events WHERE status IN ('scheduled', 'active') ORDER BY startsAt LIMIT ?");
+const setGameEventStatusStmt = db.prepare('UPDATE game_events SET status = ? WHERE id = ?');
+const endGameEventStmt = db.prepare("UPDATE game_events SET status = 'finished', endsAt = ? WHERE id = ?");
+const getGameEventsInRangeStmt = db.prepare("SELECT * FROM game_events WHERE status IN ('active', 'finished') AND startsAt < ? AND endsAt > ?");
 const getDailyTasksStmt = db.prepare('SELECT * FROM daily_tasks');
 const getPlayerTaskStmt = db.prepare('SELECT * FROM player_tasks WHERE playerId = ? AND taskId = ?');
-const insertPlayerTaskStmt = db.prepare('INSERT INTO player_tasks (playerId, taskId, status, lastCompletedAt) VALUES (?, ?, ?, ?)');
+const getActiveTasksStmt = db.prepare('SELECT * FROM daily_tasks WHERE active = 1 ORDER BY id');
+const getAssignedTasksStmt = db.prepare(`SELECT t.* FROM player_daily_tasks pdt JOIN daily_tasks t ON t.id = pdt.taskId
+    WHERE pdt.playerId = ? AND pdt.day = ? ORDER BY t.id`);
+const assignTaskStmt = db.prepare('INSERT OR IGNORE INTO player_daily_tasks (playerId, day, taskId) VALUES (?, ?, ?)');
+const insertTaskStmt = db.prepare(`INSERT INTO daily_tasks (title, description, reward, repeat_interval_days, createdAt, goal_type, target, active)
+    VALUES (?, ?, ?, 1, ?, ?, ?, 1)`);
+const insertPlayerTaskStmt = db.prepare('INSERT INTO player_tasks (playerId, taskId, status, lastCompletedAt, progress, day) VALUES (?, ?, ?, ?, ?, ?)');
 const updatePlayerTaskStmt = db.prepare('UPDATE player_tasks SET status = ?, lastCompletedAt = ? WHERE playerId = ? AND taskId = ?');
+const updatePlayerTaskProgressStmt = db.prepare('UPDATE player_tasks SET status = ?, progress = ?, day = ? WHERE playerId = ? AND taskId = ?');
+const updateTaskStreakStmt = db.prepare('UPDATE players SET taskStreak = ?, lastStreakDay = ? WHERE id = ?');
+const getPlayerUpgradesStmt = db.prepare('SELECT upgradeId, owned FROM player_upgrades WHERE playerId = ?');
+const getPlayerSkinsStmt = db.prepare('SELECT skinId FROM player_skins WHERE playerId = ? ORDER BY acquiredAt');
+const insertPlayerSkinStmt = db.prepare('INSERT OR IGNORE INTO player_skins (playerId, skinId, acquiredAt) VALUES (?, ?, ?)');
+const upsertPlayerUpgradeStmt = db.prepare(`INSERT INTO player_upgrades (playerId, upgradeId, owned) VALUES (?, ?, ?)
+    ON CONFLICT(playerId, upgradeId) DO UPDATE SET owned = excluded.owned`);
+
+// --- ИДЕНТИФИКАЦИЯ ИГРОКОВ ---
+// Игрок идентифицируется постоянным id, а не socket.id: клиент хранит выданный сервером
+// токен в localStorage и предъявляет его при каждом player-join.
+function generatePlayerId() {
+    return 'player_' + crypto.randomBytes(8).toString('hex');
+}
 
+function generatePlayerToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
 
-// Класс баттла
-class Battle {
-    constructor(player1, player2) {
-        this.id = this.generateBattleId();
-        this.player1 = player1;
-        this.player2 = player2;
-        this.players = [player1, player2];
-        this.turn = 0;
-        this.currentPlayer = player1.id;
-        this.health = {
-            [player1.id]: BATTLE_CONFIG.MAX_HEALTH,
-            [player2.id]: BATTLE_CONFIG.MAX_HEALTH
-        };
-        this.actions = [];
-        this.status = 'active'; // active, finished, cancelled
-        this.winner = null;
-        this.startTime = new Date();
-        this.lastActionTime = new Date();
-        this.turnTimer = null;
+// Найти онлайн-игрока, привязанного к сокету
+function getSocketPlayer(socket) {
+    const playerId = socket.data.playerId;
+    return playerId ? players.find(p => p.id === playerId) : undefined;
+}
+
+// Сохранить игрока в БД (заодно отмечает, когда игрок был онлайн)
+function savePlayer(player) {
+    upsertPlayerStmt.run({
+        id: player.id,
+        name: player.name,
+        resources: player.resources,
+        clickPower: player.clickPower,
+        autoPower: player.autoPower,
+        currentSkin: player.currentSkin,
+        joinedAt: player.joinedAt,
+        lastSeen: new Date().toISOString(),
+        totalCaught: player.totalCaught || 0
+    });
+    flushTaskProgress(player);
+    player.lastSavedAt = Date.now();
+    player.incomeUnsaved = false;
+    // Лидерборд пересчитываем, только если изменилось то, что в нём видно
+    const leaderboardKey = `${player.resources}|${player.name}|${player.prestigeLevel || 0}`;
+    if (player.leaderboardKey !== leaderboardKey) {
+        player.leaderboardKey = leaderboardKey;
+        invalidateLeaderboard();
     }
+}
 
-    generateBattleId() {
-        return 'battle_' + Math.random().toString(36).substr(2, 9);
+// --- ЭКОНОМИКА ---
+// Сервер - единственный источник правды о рыбках: клиент присылает только клики
+// и запросы на покупку, а в ответ получает player-state.
+
+// Загрузить купленные улучшения игрока в виде { upgradeId: owned }
+function loadPlayerUpgrades(playerId) {
+    const owned = {};
+    getPlayerUpgradesStmt.all(playerId).forEach(row => {
+        owned[row.upgradeId] = row.owned;
+    });
+    return owned;
+}
+
+// Текущая цена улучшения: каждая покупка дорожает в 1.5 раза (как на клиенте)
+function getUpgradeCost(upgrade, owned) {
+    let cost = upgrade.cost;
+    for (let i = 0; i < owned; i++) {
+        cost = Math.floor(cost * ECONOMY_CONFIG.UPGRADE_COST_MULTIPLIER);
     }
+    return cost;
+}
 
-    // Получить оппонента
-    getOpponent(playerId) {
-        return playerId === this.player1.id ? this.player2 : this.player1;
+// 'default' - старое имя стандартного скина на клиенте
+function getSkin(skinId) {
+    const id = skinId === 'default' ? 'cat' : skinId;
+    return SKINS.find(s => s.id === id);
+}
+
+// Скины игрока: бесплатные доступны всем, остальные - из player_skins
+function loadPlayerSkins(playerId) {
+    const owned = SKINS.filter(s => s.cost === 0).map(s => s.id);
+    getPlayerSkinsStmt.all(playerId).forEach(row => {
+        if (!owned.includes(row.skinId)) owned.push(row.skinId);
+    });
+    return owned;
+}
+
+function isBoostActive(player) {
+    return player.boostUntil > Date.now();
+}
+
+// Множитель дохода игрока ('click' или 'auto') без учёта событий
+function getBaseIncomeMultiplier(player, kind) {
+    let multiplier = isBoostActive(player) ? ECONOMY_CONFIG.BOOST_MULTIPLIER : 1;
+
+    const skin = getSkin(player.currentSkin);
+    if (skin && skin.bonus) {
+        multiplier *= 1 + skin.bonus / 100;
     }
 
-    // Проверить, является ли игрок участником баттла
-    isParticipant(playerId) {
-        return this.player1.id === playerId || this.player2.id === playerId;
+    const clanBonus = getClanPerkBonus(player, kind);
+    if (clanBonus) {
+        multiplier *= 1 + clanBonus / 100;
     }
 
-    // Выполнить атаку
-    performAttack(attackerId, isSpecial = false) {
-        if (this.status !== 'active') return false;
-        if (this.currentPlayer !== attackerId) return false;
+    if (player.prestigePoints) {
+        multiplier *= 1 + player.prestigePoints * PRESTIGE_CONFIG.BONUS_PER_POINT / 100;
+    }
 
-        const attacker = attackerId === this.player1.id ? this.player1 : this.player2;
-        const defender = this.getOpponent(attackerId);
-        
-        const cost = isSpecial ? BATTLE_CONFIG.SPECIAL_ATTACK_COST : BATTLE_CONFIG.ATTACK_COST;
-        
-        // Проверяем достаточно ли ресурсов
-        if (attacker.resources < cost) return false;
+    return multiplier;
+}
 
-        // Вычитаем стоимость атаки
-        const attackerIndex = players.findIndex(p => p.id === attackerId);
-        if (attackerIndex !== -1) {
-            players[attackerIndex].resources -= cost;
-            try {
-                updatePlayerResourcesStmt.run(players[attackerIndex].resources, players[attackerIndex].id);
-            } catch (err) {
-                console.error('DB update after attack error', err);
-            }
-        }
+function getIncomeMultiplier(player, kind) {
+    return getBaseIncomeMultiplier(player, kind) * eventMultiplier;
+}
 
-        // Вычисляем урон
-        let damage = isSpecial ? BATTLE_CONFIG.SPECIAL_ATTACK_DAMAGE : BATTLE_CONFIG.BASE_ATTACK_DAMAGE;
-        
-        // Добавляем бонус от силы клика (10% от clickPower)
-        const clickBonus = Math.floor(attacker.clickPower * 0.1);
-        damage += clickBonus;
+// Сколько очков престижа принесёт сброс прямо сейчас
+function getPrestigeGain(player) {
+    if (player.resources < PRESTIGE_CONFIG.MIN_FISH) return 0;
+    return Math.floor(Math.sqrt(player.resources / PRESTIGE_CONFIG.MIN_FISH));
+}
 
-        // Случайный разброс урона ±20%
-        const variance = Math.floor(damage * 0.2);
-        damage += Math.floor(Math.random() * (variance * 2 + 1)) - variance;
+// Сбросить рыбки, силу клика, автодоход и улучшения; скины и достижения сохраняются
+function prestigePlayer(player) {
+    const gain = getPrestigeGain(player);
+    if (gain <= 0) return 0;
 
-        // Применяем урон
-        this.health[defender.id] = Math.max(0, this.health[defender.id] - damage);
+    player.resources = 0;
+    player.clickPower = 1;
+    player.autoPower = 0;
+    player.upgrades = {};
+    player.boostUntil = 0;
+    player.prestigeLevel = (player.prestigeLevel || 0) + 1;
+    player.prestigePoints = (player.prestigePoints || 0) + gain;
 
-        // Записываем действие
-        const action = {
-            type: isSpecial ? 'special' : 'attack',
-            attacker: attacker.name,
-            defender: defender.name,
-            damage: damage,
-            cost: cost,
-            turn: this.turn,
-            timestamp: new Date()
-        };
+    db.transaction(() => {
+        savePlayer(player);
+        deletePlayerUpgradesStmt.run(player.id);
+        updatePlayerPrestigeStmt.run(player.prestigeLevel, player.prestigePoints, player.id);
+    })();
+    return gain;
+}
 
-        this.actions.push(action);
-        this.lastActionTime = new Date();
+// Начислить игроку рыбки (без сохранения в БД)
+function creditResources(player, amount, source) {
+    if (amount <= 0) return 0;
+    player.resources += amount;
+    if (CAUGHT_FISH_SOURCES.includes(source)) {
+        player.totalCaught = (player.totalCaught || 0) + amount;
+        // Оффлайн-доход идёт в сезон только за время внутри сезона (см. applyOfflineEarnings)
+        if (source !== 'offline') addSeasonScore(player.id, amount);
+        advanceTaskProgress(player.id, 'fish', amount);
+        checkAchievements(player.id, 'fish', player.totalCaught);
+    }
+    return amount;
+}
 
-        // Проверяем окончание баттла
-        if (this.health[defender.id] <= 0) {
-            this.finishBattle(attackerId);
-            action.battleEnd = true;
-            action.winner = attacker.name;
-        } else {
-            // Передаем ход следующему игроку
-            this.currentPlayer = defender.id;
-            this.turn++;
-            
-            // Проверяем максимальное количество ходов
-            if (this.turn >= BATTLE_CONFIG.MAX_TURNS) {
-                this.finishBattle(this.getWinnerByHealth());
-            }
-        }
+// Данные экономики, которые клиент отображает как есть
+function getPlayerState(player) {
+    return {
+        resources: player.resources,
+        clickPower: player.clickPower,
+        autoPower: player.autoPower,
+        clickMultiplier: getIncomeMultiplier(player, 'click'),
+        autoMultiplier: getIncomeMultiplier(player, 'auto'),
+        currentSkin: player.currentSkin,
+        ownedSkins: player.ownedSkins,
+        rating: player.rating,
+        prestigeLevel: player.prestigeLevel || 0,
+        prestigePoints: player.prestigePoints || 0,
+        prestigeBonus: (player.prestigePoints || 0) * PRESTIGE_CONFIG.BONUS_PER_POINT,
+        prestigeGain: getPrestigeGain(player),
+        prestigeMinFish: PRESTIGE_CONFIG.MIN_FISH,
+        boostTimeLeft: isBoostActive(player) ? Math.ceil((player.boostUntil - Date.now()) / 1000) : 0,
+        upgrades: UPGRADES.map(u => {
+            const owned = player.upgrades[u.id] || 0;
+            return { id: u.id, owned, cost: getUpgradeCost(u, owned) };
+        })
+    };
+}
 
-        // Обновляем данные игроков
-        io.emit('players-update', players);
+function emitPlayerState(player) {
+    const state = getPlayerState(player);
+    player.lastStateKey = getStateKey(state);
+    io.to(player.id).emit('player-state', state);
+    markPlayersChanged();
+}
 
-        return action;
+// Ключ для сравнения состояний: обратный отсчёт буста клиент ведёт сам, его не учитываем
+function getStateKey(state) {
+    const { boostTimeLeft, ...rest } = state;
+    return JSON.stringify(rest);
+}
+
+// Для тика дохода: отправить состояние, только если оно отличается от последнего отправленного
+function emitPlayerStateIfChanged(player) {
+    const state = getPlayerState(player);
+    const key = getStateKey(state);
+    if (key === player.lastStateKey) return;
+    player.lastStateKey = key;
+    io.to(player.id).emit('player-state', state);
+    markPlayersChanged();
+}
+
+// Списать клики из общего лимита частоты (token bucket) - им пользуются и рыбалка, и рейды
+function takeClickTokens(player, count) {
+    const now = Date.now();
+    const elapsed = (now - player.lastClickRefill) / 1000;
+    player.clickTokens = Math.min(
+        ECONOMY_CONFIG.CLICK_BURST,
+        player.clickTokens + elapsed * ECONOMY_CONFIG.MAX_CLICKS_PER_SECOND
+    );
+    player.lastClickRefill = now;
+
+    const accepted = Math.max(0, Math.min(count, Math.floor(player.clickTokens)));
+    player.clickTokens -= accepted;
+    return accepted;
+}
+
+// Принять пачку кликов с учётом ограничения частоты
+function applyClicks(player, count) {
+    const accepted = takeClickTokens(player, count);
+    advanceTaskProgress(player.id, 'clicks', accepted);
+
+    const gain = Math.floor(accepted * player.clickPower * getIncomeMultiplier(player, 'click'));
+    creditResources(player, gain, 'click');
+    return { accepted, gain };
+}
+
+// Пассивный доход: autoPower × прошедшее время
+function applyPassiveIncome(player, now) {
+    const elapsed = (now - player.lastIncomeAt) / 1000;
+    player.lastIncomeAt = now;
+    if (player.autoPower <= 0 || elapsed <= 0) return 0;
+
+    const exact = player.autoPower * getIncomeMultiplier(player, 'auto') * elapsed + player.incomeRemainder;
+    const gain = Math.floor(exact);
+    player.incomeRemainder = exact - gain;
+    return creditResources(player, gain, 'auto');
+}
+
+// Начислить доход за время отсутствия (с момента lastSeen)
+function applyOfflineEarnings(player, lastSeen) {
+    if (!lastSeen || player.autoPower <= 0) return null;
+
+    const awaySeconds = (Date.now() - new Date(lastSeen).getTime()) / 1000;
+    if (!(awaySeconds >= OFFLINE_CONFIG.MIN_OFFLINE_SECONDS)) return null;
+
+    // Начисляются последние seconds секунд отсутствия; множитель события - только за время, пока оно шло
+    const now = Date.now();
+    const seconds = Math.floor(Math.min(awaySeconds, OFFLINE_CONFIG.MAX_OFFLINE_SECONDS));
+    const from = now - seconds * 1000;
+    const perSecond = player.autoPower * getBaseIncomeMultiplier(player, 'auto');
+    const amount = creditResources(player, Math.floor(perSecond * getEventWeightedSeconds(from, now)), 'offline');
+
+    // В сезон - только та часть, что после его начала
+    if (currentSeason && amount > 0) {
+        const seasonFrom = Math.max(from, new Date(currentSeason.startsAt).getTime());
+        if (seasonFrom < now) addSeasonScore(player.id, Math.min(amount, Math.floor(perSecond * getEventWeightedSeconds(seasonFrom, now))));
     }
+    return {
+        amount,
+        seconds,
+        capped: awaySeconds > OFFLINE_CONFIG.MAX_OFFLINE_SECONDS,
+        maxSeconds: OFFLINE_CONFIG.MAX_OFFLINE_SECONDS
+    };
+}
 
-    // Завершить баттл
-    finishBattle(winnerId) {
-        this.status = 'finished';
-        this.winner = winnerId;
-        
-        // Награждаем победителя
-        const reward = 50 + this.turn * 5; // Базовая награда + за каждый ход
-        const winnerIndex = players.findIndex(p => p.id === winnerId);
-        if (winnerIndex !== -1) {
-            players[winnerIndex].resources += reward;
+setInterval(() => {
+    const now = Date.now();
+    players.forEach(player => {
+        if (applyPassiveIncome(player, now) > 0) player.incomeUnsaved = true;
+        if (player.incomeUnsaved && now - (player.lastSavedAt || 0) >= ECONOMY_CONFIG.INCOME_SAVE_INTERVAL) {
             try {
-                updatePlayerResourcesStmt.run(players[winnerIndex].resources, players[winnerIndex].id);
+                savePlayer(player);
             } catch (err) {
-                console.error('DB update after reward error', err);
+                console.error('DB save income error', err);
             }
         }
+        emitPlayerStateIfChanged(player);
+    });
+}, ECONOMY_CONFIG.INCOME_TICK);
 
-        // Останавливаем таймер
-        if (this.turnTimer) {
-            clearTimeout(this.turnTimer);
-        }
+// --- ПРОГРЕСС ЕЖЕДНЕВНЫХ ЗАДАНИЙ ---
+// Цель задания задаётся парой goal_type + target в daily_tasks:
+// 'fish' - поймать рыбок, 'clicks' - сделать кликов, 'battle_wins' - выиграть баттлов.
+const TASK_GOAL_TYPES = ['fish', 'clicks', 'battle_wins'];
+const CAUGHT_FISH_SOURCES = ['click', 'auto', 'offline'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ключ игрового дня (YYYY-MM-DD): день начинается в TASKS_CONFIG.RESET_HOUR_UTC
+function getTaskDay(now = Date.now()) {
+    return new Date(now - TASKS_CONFIG.RESET_HOUR_UTC * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function getPreviousTaskDay(day) {
+    return new Date(Date.parse(day) - DAY_MS).toISOString().slice(0, 10);
+}
+
+// Момент следующего сброса заданий
+function getNextTaskReset(now = Date.now()) {
+    return new Date(Date.parse(getTaskDay(now)) + DAY_MS + TASKS_CONFIG.RESET_HOUR_UTC * 60 * 60 * 1000);
+}
+
+// Задания игрока на сегодня. Выбор детерминирован (игрок + день) и сохраняется,
+// поэтому изменения пула в течение дня не перетасовывают уже выданные задания.
+function getPlayerDailyTasks(playerId, day = getTaskDay()) {
+    const assigned = getAssignedTasksStmt.all(playerId, day);
+    if (assigned.length > 0) return assigned;
+
+    const picked = getActiveTasksStmt.all()
+        .map(task => ({
+            task,
+            key: crypto.createHash('sha1').update(`${playerId}:${day}:${task.id}`).digest('hex')
+        }))
+        .sort((a, b) => (a.key < b.key ? -1 : 1))
+        .slice(0, TASKS_CONFIG.TASKS_PER_DAY)
+        .map(entry => entry.task);
+
+    picked.forEach(task => assignTaskStmt.run(playerId, day, task.id));
+    return picked.sort((a, b) => a.id - b.id);
+}
+
+// Состояние задания для игрока в текущем дне: прогресс прошлых дней не учитывается
+function getTaskProgress(task, playerTask, day = getTaskDay()) {
+    const current = playerTask && playerTask.day === day;
+    const progress = current ? (playerTask.progress || 0) : 0;
+    const claimed = current && playerTask.status === 'completed';
+
+    const target = task.target || 1;
+    const done = progress >= target;
+    return {
+        progress: Math.min(progress, target),
+        target,
+        claimable: !claimed && done,
+        status: claimed ? 'completed' : (done ? 'ready' : 'in_progress')
+    };
+}
+
+// Множитель наград за серию дней подряд с выполненными заданиями
+function getStreakMultiplier(streak) {
+    const bonus = Math.max(0, streak - 1) * TASKS_CONFIG.STREAK_BONUS_PER_DAY;
+    return 1 + Math.min(bonus, TASKS_CONFIG.MAX_STREAK_BONUS);
+}
+
+// Серия, которая будет засчитана при получении награды сегодня
+function getTaskStreak(playerRow, day = getTaskDay()) {
+    const streak = (playerRow && playerRow.taskStreak) || 0;
+    const lastDay = playerRow && playerRow.lastStreakDay;
+    if (lastDay === day) return { days: streak, countedToday: true };
+    if (lastDay === getPreviousTaskDay(day)) return { days: streak + 1, countedToday: false };
+    return { days: 1, countedToday: false };
+}
+
+// Сегодняшние задания игрока с прогрессом из БД
+function loadTaskEntries(playerId, day) {
+    return getPlayerDailyTasks(playerId, day).map(task => {
+        const playerTask = getPlayerTaskStmt.get(playerId, task.id);
+        const state = getTaskProgress(task, playerTask, day);
+        return { task, target: state.target, progress: state.progress, done: state.status !== 'in_progress', stored: !!playerTask, dirty: false };
+    });
+}
+
+function writeTaskProgress(playerId, entry, day) {
+    if (!entry.stored) {
+        insertPlayerTaskStmt.run(playerId, entry.task.id, 'in_progress', null, entry.progress, day);
+        entry.stored = true;
+    } else {
+        updatePlayerTaskProgressStmt.run('in_progress', entry.progress, day, playerId, entry.task.id);
+    }
+    entry.dirty = false;
+}
+
+// Прогресс заданий онлайн-игрока живёт в player.taskProgress и пишется в БД вместе с savePlayer;
+// при смене дня старый прогресс сначала сбрасывается на диск
+function getCachedTaskEntries(player, day) {
+    if (!player.taskProgress || player.taskProgress.day !== day) {
+        flushTaskProgress(player);
+        player.taskProgress = { day, entries: loadTaskEntries(player.id, day) };
+    }
+    return player.taskProgress.entries;
+}
+
+function flushTaskProgress(player) {
+    if (!player.taskProgress) return;
+    const { day, entries } = player.taskProgress;
+    entries.filter(entry => entry.dirty).forEach(entry => writeTaskProgress(player.id, entry, day));
+}
+
+// Продвинуть сегодняшние задания игрока с данным типом цели. Выполненную цель пишем сразу,
+// чтобы claim-task видел её в БД; промежуточный прогресс онлайн-игрока - только в памяти
+function advanceTaskProgress(playerId, goalType, amount) {
+    if (amount <= 0) return;
+
+    const day = getTaskDay();
+    const player = players.find(p => p.id === playerId);
+    const entries = player ? getCachedTaskEntries(player, day) : loadTaskEntries(playerId, day);
+    entries.filter(entry => entry.task.goal_type === goalType && !entry.done).forEach(entry => {
+        entry.progress = Math.min(entry.target, entry.progress + amount);
+        entry.done = entry.progress >= entry.target;
+        entry.dirty = true;
+        if (!player || entry.done) writeTaskProgress(playerId, entry, day);
+
+        if (entry.done) {
+            io.to(playerId).emit('tasks-updated', { taskId: entry.task.id });
+        }
+    });
+}
+
+// --- ПРИСУТСТВИЕ ---
+// Обработчики только помечают список изменённым; раз в PRESENCE_CONFIG.TICK сервер сравнивает
+// публичные поля с последней разосланной версией и шлёт players-delta { joined, left, changed }.
+let presenceState = new Map(); // id -> публичные поля на момент последней рассылки
+let presenceVersion = 0;
+let presenceDirty = false;
+
+function markPlayersChanged() {
+    presenceDirty = true;
+}
+
+function toPublicPlayer(player) {
+    const result = {};
+    PRESENCE_CONFIG.PUBLIC_FIELDS.forEach(field => {
+        result[field] = player[field];
+    });
+    return result;
+}
+
+// Снимок соответствует version: следующая дельта будет version + 1
+function getPlayersSnapshot() {
+    return { version: presenceVersion, players: [...presenceState.values()] };
+}
+
+function flushPresence() {
+    if (!presenceDirty) return;
+    presenceDirty = false;
+
+    const next = new Map();
+    const joined = [];
+    const changed = [];
+    players.forEach(player => {
+        const current = toPublicPlayer(player);
+        next.set(player.id, current);
+        const previous = presenceState.get(player.id);
+        if (!previous) {
+            joined.push(current);
+            return;
+        }
+        // В changed попадают только изменившиеся поля
+        const diff = {};
+        PRESENCE_CONFIG.PUBLIC_FIELDS.forEach(field => {
+            if (previous[field] !== current[field]) diff[field] = current[field];
+        });
+        if (Object.keys(diff).length) changed.push({ id: player.id, ...diff });
+    });
+    const left = [...presenceState.keys()].filter(id => !next.has(id));
+
+    presenceState = next;
+    if (!joined.length && !changed.length && !left.length) return;
+    presenceVersion++;
+    io.emit('players-delta', { version: presenceVersion, joined, changed, left });
+}
+
+setInterval(() => {
+    try {
+        flushPresence();
+    } catch (err) {
+        console.error('presence sync error', err);
+    }
+}, PRESENCE_CONFIG.TICK);
+
+// --- ЛИДЕРБОРД ---
+// Топ-N держится в памяти; любые изменения рыбок помечают его устаревшим,
+// а пересчёт раз в DELTA_INTERVAL рассылает клиентам только изменившиеся строки.
+let leaderboardCache = null; // { version, rows, total }
+let leaderboardDirty = true;
+
+function invalidateLeaderboard() {
+    leaderboardDirty = true;
+}
+
+function withRanks(rows, offset) {
+    return rows.map((row, i) => ({ ...row, rank: offset + i + 1 }));
+}
+
+function loadLeaderboardTop() {
+    return {
+        rows: withRanks(getLeaderboardPageStmt.all(LEADERBOARD_CONFIG.TOP_SIZE, 0), 0),
+        total: countPlayersStmt.get().c
+    };
+}
+
+function getCachedLeaderboard() {
+    if (!leaderboardCache) {
+        leaderboardCache = { version: 0, ...loadLeaderboardTop() };
+        leaderboardDirty = false;
+    }
+    return leaderboardCache;
+}
+
+// Пересчитать топ и разослать leaderboard-delta: изменившиеся/новые строки и выбывшие из топа id.
+// version растёт на 1 с каждой дельтой - клиент, пропустивший дельту, перезапрашивает /leaderboard
+function refreshLeaderboard() {
+    if (!leaderboardDirty || !leaderboardCache) return;
+    leaderboardDirty = false;
+
+    const previous = leaderboardCache;
+    const { rows, total } = loadLeaderboardTop();
+    const before = new Map(previous.rows.map(row => [row.id, row]));
+    const changes = rows.filter(row => {
+        const old = before.get(row.id);
+        return !old || old.rank !== row.rank || old.resources !== row.resources
+            || old.name !== row.name || old.prestigeLevel !== row.prestigeLevel;
+    });
+    const current = new Set(rows.map(row => row.id));
+    const removed = previous.rows.filter(row => !current.has(row.id)).map(row => row.id);
+
+    if (!changes.length && !removed.length && total === previous.total) return;
+    leaderboardCache = { version: previous.version + 1, rows, total };
+    io.emit('leaderboard-delta', { version: leaderboardCache.version, changes, removed, total });
+}
+
+// Место игрока считается индексированным COUNT, без выгрузки всей таблицы
+function getPlayerRank(playerId) {
+    const row = getPlayerStmt.get(playerId);
+    if (!row) return null;
+    const params = { id: row.id, resources: row.resources };
+    return {
+        rank: countPlayersAheadStmt.get(params).c + 1,
+        player: { id: row.id, name: row.name, resources: row.resources, prestigeLevel: row.prestigeLevel }
+    };
+}
+
+// Окно «вокруг меня»: range игроков выше и ниже
+function getLeaderboardAround(playerId, range) {
+    const position = getPlayerRank(playerId);
+    if (!position) return null;
+    const params = { id: position.player.id, resources: position.player.resources, limit: range };
+    const above = getPlayersAboveStmt.all(params).reverse();
+    const below = getPlayersBelowStmt.all(params);
+    return {
+        rank: position.rank,
+        player: { ...position.player, rank: position.rank },
+        above: withRanks(above, position.rank - 1 - above.length),
+        below: withRanks(below, position.rank)
+    };
+}
+
+setInterval(() => {
+    try {
+        refreshLeaderboard();
+    } catch (err) {
+        console.error('leaderboard refresh error', err);
+    }
+}, LEADERBOARD_CONFIG.DELTA_INTERVAL);
+
+// --- СЕЗОНЫ И СОБЫТИЯ ---
+// Очки сезона копятся в памяти и пишутся в БД раз в SEASON_CONFIG.TICK, а не на каждый клик
+let currentSeason = null;
+const pendingSeasonScores = new Map();
+// Произведение множителей активных событий, обновляется при их начале и окончании
+let eventMultiplier = 1;
+
+function addSeasonScore(playerId, amount) {
+    if (!currentSeason) return;
+    pendingSeasonScores.set(playerId, (pendingSeasonScores.get(playerId) || 0) + amount);
+}
+
+function flushSeasonScores() {
+    if (!currentSeason || pendingSeasonScores.size === 0) return;
+    const seasonId = currentSeason.id;
+    const entries = [...pendingSeasonScores.entries()];
+    pendingSeasonScores.clear();
+    db.transaction(() => {
+        entries.forEach(([playerId, amount]) => addSeasonScoreStmt.run(seasonId, playerId, amount));
+    })();
+}
+
+function getSeasonReward(rank) {
+    const tier = SEASON_CONFIG.REWARD_TIERS.find(t => rank <= t.maxRank);
+    return tier ? tier.reward : 0;
+}
+
+// Запланировать сезон; без явных дат - сразу на DURATION_DAYS
+function createSeason(options = {}) {
+    const startsAt = options.startsAt ? new Date(options.startsAt) : new Date();
+    const endsAt = options.endsAt ? new Date(options.endsAt) : new Date(startsAt.getTime() + SEASON_CONFIG.DURATION_DAYS * DAY_MS);
+    const name = options.name || `Сезон ${countSeasonsStmt.get().c + 1}`;
+    const info = insertSeasonStmt.run(name, startsAt.toISOString(), endsAt.toISOString());
+    return getSeasonStmt.get(info.lastInsertRowid);
+}
+
+function startSeason(season) {
+    setSeasonStatusStmt.run('active', season.id);
+    currentSeason = getSeasonStmt.get(season.id);
+    io.emit('season-started', currentSeason);
+    postSystemMessage(`🏁 Начался «${season.name}»! Ловите рыбок - в зачёт идёт всё, что поймано до ${new Date(season.endsAt).toLocaleDateString('ru-RU')}.`);
+}
+
+// Закрыть сезон: зафиксировать итоговую таблицу и выдать награды по местам.
+// manual - сезон закрыл админ: новый сезон сам не откроется, пока админ его не запланирует
+function finishSeason(season, manual = false) {
+    flushSeasonScores();
+    currentSeason = null;
+    pendingSeasonScores.clear();
+
+    const standings = getSeasonStandingsStmt.all(season.id, -1);
+    db.transaction(() => {
+        standings.forEach((row, i) => insertSeasonResultStmt.run(season.id, row.playerId, row.name, i + 1, row.score, getSeasonReward(i + 1)));
+        finishSeasonStmt.run(new Date().toISOString(), manual ? 1 : 0, season.id);
+    })();
+
+    standings.forEach((row, i) => {
+        const reward = getSeasonReward(i + 1);
+        if (reward <= 0) return;
+        try {
+            const player = players.find(p => p.id === row.playerId);
+            if (player) {
+                creditResources(player, reward, 'season');
+                savePlayer(player);
+                emitPlayerState(player);
+            } else {
+                addPlayerResourcesStmt.run(reward, row.playerId);
+                invalidateLeaderboard();
+            }
+            io.to(row.playerId).emit('season-reward', { seasonId: season.id, name: season.name, rank: i + 1, score: row.score, reward });
+        } catch (err) {
+            console.error('DB season reward error', err);
+        }
+    });
+
+    io.emit('season-ended', { id: season.id, name: season.name, top: getSeasonResultsStmt.all(season.id, 10) });
+    const champion = standings[0];
+    postSystemMessage(`🏆 «${season.name}» завершён!` + (champion ? ` Победитель - ${champion.name} (${champion.score} 🐟).` : ''));
+    markPlayersChanged();
+}
+
+// Длительность промежутка [from, to) в секундах, где каждая секунда умножена
+// на произведение множителей событий, шедших в этот момент
+function getEventWeightedSeconds(from, to) {
+    const events = getGameEventsInRangeStmt.all(new Date(to).toISOString(), new Date(from).toISOString())
+        .map(e => ({ start: Date.parse(e.startsAt), end: Date.parse(e.endsAt), multiplier: e.multiplier || 1 }));
+    const points = [from, to, ...events.flatMap(e => [e.start, e.end])]
+        .filter(t => t >= from && t <= to)
+        .sort((a, b) => a - b);
+
+    let weighted = 0;
+    for (let i = 1; i < points.length; i++) {
+        const mid = (points[i - 1] + points[i]) / 2;
+        const multiplier = events.filter(e => e.start <= mid && mid < e.end).reduce((m, e) => m * e.multiplier, 1);
+        weighted += (points[i] - points[i - 1]) / 1000 * multiplier;
+    }
+    return weighted;
+}
+
+function refreshEventMultiplier() {
+    eventMultiplier = getActiveGameEventsStmt.all().reduce((m, e) => m * (e.multiplier || 1), 1);
+    io.emit('events-update', { multiplier: eventMultiplier, events: getActiveGameEventsStmt.all() });
+}
+
+// Ближайшие выходные (сб 00:00 - пн 00:00 UTC); если они уже идут - текущие
+function getWeekendWindow(now) {
+    const date = new Date(now);
+    const day = date.getUTCDay(); // 0 - вс, 6 - сб
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const daysFromSaturday = (day + 1) % 7; // сб -> 0, вс -> 1, пн -> 2 ...
+    const start = daysFromSaturday <= 1 ? midnight - daysFromSaturday * DAY_MS : midnight + (7 - daysFromSaturday) * DAY_MS;
+    return { startsAt: new Date(start).toISOString(), endsAt: new Date(start + 2 * DAY_MS).toISOString() };
+}
+
+function scheduleWeekendEvent(now) {
+    if (!(EVENT_CONFIG.WEEKEND_MULTIPLIER > 1)) return;
+    const weekend = getWeekendWindow(now);
+    if (getGameEventByStartStmt.get(EVENT_CONFIG.WEEKEND_NAME, weekend.startsAt)) return;
+    insertGameEventStmt.run(EVENT_CONFIG.WEEKEND_NAME, EVENT_CONFIG.WEEKEND_MULTIPLIER, weekend.startsAt, weekend.endsAt, new Date(now).toISOString());
+}
+
+// Начать наступившие события и завершить истёкшие, объявив об этом в чате
+function processGameEvents(now) {
+    const nowIso = new Date(now).toISOString();
+    let changed = false;
+    getExpiredGameEventsStmt.all(nowIso).forEach(event => {
+        setGameEventStatusStmt.run('finished', event.id);
+        postSystemMessage(`Событие «${event.name}» завершилось.`);
+        changed = true;
+    });
+    getDueGameEventsStmt.all(nowIso).forEach(event => {
+        if (event.endsAt <= nowIso) {
+            setGameEventStatusStmt.run('finished', event.id);
+            return;
+        }
+        setGameEventStatusStmt.run('active', event.id);
+        postSystemMessage(`🎉 Началось событие «${event.name}»: улов ×${event.multiplier} до ${new Date(event.endsAt).toLocaleString('ru-RU', { timeZone: 'UTC' })} UTC!`);
+        changed = true;
+    });
+    if (changed) refreshEventMultiplier();
+}
+
+function processSeasons(now) {
+    const nowIso = new Date(now).toISOString();
+    if (currentSeason && currentSeason.endsAt <= nowIso) {
+        const finished = currentSeason;
+        finishSeason(finished);
+        // Следующий сезон начинается сразу, если админ не запланировал свой
+        if (!getScheduledSeasonStmt.get()) createSeason();
+    }
+    if (!currentSeason) {
+        const due = getDueSeasonStmt.get(nowIso);
+        const latest = getSeasonsStmt.all(1)[0];
+        if (due) {
+            startSeason(due);
+        } else if (!getScheduledSeasonStmt.get() && !(latest && latest.endedManually)) {
+            startSeason(createSeason());
+        }
+    }
+    flushSeasonScores();
+}
+
+// Состояние после перезапуска: активный сезон и множитель уже идущих событий
+currentSeason = getActiveSeasonStmt.get() || null;
+eventMultiplier = getActiveGameEventsStmt.all().reduce((m, e) => m * (e.multiplier || 1), 1);
+
+setInterval(() => {
+    const now = Date.now();
+    try {
+        processSeasons(now);
+    } catch (err) {
+        console.error('season tick error', err);
+    }
+    try {
+        scheduleWeekendEvent(now);
+        processGameEvents(now);
+    } catch (err) {
+        console.error('events tick error', err);
+    }
+}, SEASON_CONFIG.TICK);
+
+// --- ДОСТИЖЕНИЯ ---
+// Открытые достижения кешируются по playerId, чтобы проверка на каждом клике не ходила в БД
+const unlockedAchievements = new Map();
+
+function getUnlockedAchievements(playerId) {
+    let unlocked = unlockedAchievements.get(playerId);
+    if (!unlocked) {
+        unlocked = new Set(getPlayerAchievementsStmt.all(playerId).map(row => row.achievementId));
+        unlockedAchievements.set(playerId, unlocked);
+    }
+    return unlocked;
+}
+
+// Открыть достижения показателя stat, чей порог уже достигнут значением value
+function checkAchievements(playerId, stat, value) {
+    const unlocked = getUnlockedAchievements(playerId);
+    const reached = ACHIEVEMENTS.filter(a => a.stat === stat && value >= a.target && !unlocked.has(a.id));
+    reached.forEach(achievement => {
+        try {
+            if (insertPlayerAchievementStmt.run(playerId, achievement.id, new Date().toISOString()).changes === 0) return;
+            unlocked.add(achievement.id);
+
+            const player = players.find(p => p.id === playerId);
+            if (player) {
+                creditResources(player, achievement.reward, 'achievement');
+                savePlayer(player);
+                emitPlayerState(player);
+            } else {
+                addPlayerResourcesStmt.run(achievement.reward, playerId);
+                invalidateLeaderboard();
+            }
+            io.to(playerId).emit('achievement-unlocked', {
+                id: achievement.id,
+                name: achievement.name,
+                description: achievement.description,
+                reward: achievement.reward
+            });
+        } catch (err) {
+            console.error('DB achievement unlock error', err);
+        }
+    });
+}
+
+// Сверить все накопительные показатели - при входе, чтобы старые аккаунты получили заслуженное
+function checkAllAchievements(player) {
+    const stored = getPlayerStmt.get(player.id) || {};
+    checkAchievements(player.id, 'fish', player.totalCaught || 0);
+    checkAchievements(player.id, 'upgrades', Object.values(player.upgrades).reduce((sum, owned) => sum + owned, 0));
+    checkAchievements(player.id, 'skins', player.ownedSkins.length);
+    checkAchievements(player.id, 'battleWins', stored.battleWins || 0);
+    checkAchievements(player.id, 'taskStreak', stored.taskStreak || 0);
+}
+
+// Каталог достижений с отметкой, какие открыты у игрока
+function getPlayerAchievements(playerId) {
+    const unlockedAt = new Map(getPlayerAchievementsStmt.all(playerId).map(row => [row.achievementId, row.unlockedAt]));
+    return ACHIEVEMENTS.map(a => ({
+        id: a.id,
+        name: a.name,
+        description: a.description,
+        reward: a.reward,
+        unlocked: unlockedAt.has(a.id),
+        unlockedAt: unlockedAt.get(a.id) || null
+    }));
+}
+
+// --- КЛАНЫ ---
+// Игрок состоит максимум в одном клане. Роли: owner > officer > member.
+const CLAN_ROLE_RANK = { owner: 3, officer: 2, member: 1 };
+
+// Членство игрока в клане (или undefined)
+function getClanMembership(playerId) {
+    return getPlayerClanMembershipStmt.get(playerId);
+}
+
+// --- Казна и улучшения клана ---
+function getClanPerkCost(perk, level) {
+    return Math.floor(perk.baseCost * Math.pow(perk.costMultiplier, level));
+}
+
+function loadClanPerks(clanId) {
+    const levels = {};
+    getClanPerksStmt.all(clanId).forEach(row => { levels[row.perkId] = row.level; });
+    return CLAN_PERKS.map(perk => {
+        const level = levels[perk.id] || 0;
+        return {
+            id: perk.id,
+            name: perk.name,
+            kind: perk.kind,
+            level,
+            maxLevel: perk.maxLevel,
+            bonus: level * perk.bonusPerLevel,
+            cost: level < perk.maxLevel ? getClanPerkCost(perk, level) : null
+        };
+    });
+}
+
+// Суммарный бонус (%) от улучшений клана игрока для 'click' или 'auto'
+// Бонусы перков кэшируются на объекте игрока ({ kind: % }), чтобы клики и тик дохода не ходили в БД.
+// Кэш сбрасывает refreshClanPerks при покупке перка и любом изменении состава клана
+function getClanPerkBonus(player, kind) {
+    if (!player.clanPerkBonus) {
+        player.clanPerkBonus = {};
+        getPlayerClanPerksStmt.all(player.id).forEach(row => {
+            const perk = CLAN_PERKS.find(p => p.id === row.perkId);
+            if (perk) player.clanPerkBonus[perk.kind] = (player.clanPerkBonus[perk.kind] || 0) + row.level * perk.bonusPerLevel;
+        });
+    }
+    return player.clanPerkBonus[kind] || 0;
+}
+
+// Сбросить кэш перков у игроков онлайн и отправить им новые множители
+function refreshClanPerks(playerIds) {
+    playerIds.forEach(id => {
+        const player = players.find(p => p.id === id);
+        if (!player) return;
+        player.clanPerkBonus = null;
+        emitPlayerState(player);
+    });
+}
+
+const donateToClan = db.transaction((clanId, playerId, amount) => {
+    addClanTreasuryStmt.run(amount, clanId);
+    addClanContributionStmt.run(amount, clanId, playerId);
+});
+
+const buyClanPerk = db.transaction((clanId, perkId, level, cost) => {
+    addClanTreasuryStmt.run(-cost, clanId);
+    upsertClanPerkStmt.run(clanId, perkId, level);
+});
+
+function isClanFull(clan) {
+    return countClanMembersStmt.get(clan.id).c >= (clan.maxMembers || CLAN_CONFIG.DEFAULT_MAX_MEMBERS);
+}
+
+// Принять игрока в клан: заодно снимаются его остальные заявки и приглашения
+const addPlayerToClan = db.transaction((clanId, playerId) => {
+    const now = new Date().toISOString();
+    addClanMemberStmt.run(clanId, playerId, 'member', now);
+    cancelPlayerJoinRequestsStmt.run(now, playerId);
+    cancelPlayerInvitesStmt.run(now, playerId);
+});
+
+// Отправить событие владельцу и офицерам клана
+function notifyClanOfficers(clanId, event, payload) {
+    getClanMembersStmt.all(clanId)
+        .filter(m => m.role === 'owner' || m.role === 'officer')
+        .forEach(m => io.to(m.id).emit(event, payload));
+}
+
+// Распустить клан вместе со всеми участниками
+const disbandClan = db.transaction((clanId) => {
+    const now = new Date().toISOString();
+    cancelClanJoinRequestsStmt.run(now, clanId);
+    cancelClanInvitesStmt.run(now, clanId);
+    deleteClanPerksStmt.run(clanId);
+    cancelClanWarsStmt.run(now, clanId, clanId);
+    removeAllClanMembersStmt.run(clanId);
+    deleteClanStmt.run(clanId);
+});
+
+// Передать владение: прежний владелец становится офицером (если остаётся в клане)
+const transferClanOwnership = db.transaction((clanId, fromPlayerId, toPlayerId) => {
+    updateClanMemberRoleStmt.run('officer', clanId, fromPlayerId);
+    updateClanMemberRoleStmt.run('owner', clanId, toPlayerId);
+    updateClanOwnerStmt.run(toPlayerId, clanId);
+});
+
+// Выход из клана. Если уходит владелец, клан достаётся старшему офицеру, иначе
+// самому давнему участнику; опустевший клан распускается.
+const leaveClan = db.transaction((membership) => {
+    if (membership.role === 'owner') {
+        const successor = getClanSuccessorStmt.get(membership.clanId, membership.playerId);
+        if (!successor) {
+            disbandClan(membership.clanId);
+            return { disbanded: true };
+        }
+        transferClanOwnership(membership.clanId, membership.playerId, successor.playerId);
+        removeClanMemberStmt.run(membership.clanId, membership.playerId);
+        return { newOwnerId: successor.playerId };
+    }
+    removeClanMemberStmt.run(membership.clanId, membership.playerId);
+    return {};
+});
+
+// --- КЛАНОВЫЕ ВОЙНЫ ---
+// Войну объявляет владелец или офицер, принимает владелец или офицер другого клана.
+// У клана может быть только одна незавершённая война (pending или active).
+
+// Отправить событие всем участникам клана
+function notifyClanMembers(clanId, event, payload) {
+    getClanMembersStmt.all(clanId).forEach(m => io.to(m.id).emit(event, payload));
+}
+
+function notifyClanWar(war, event) {
+    const data = getClanWarStmt.get(war.id);
+    notifyClanMembers(war.clanA, event, data);
+    notifyClanMembers(war.clanB, event, data);
+    io.emit('clan-wars-updated');
+}
+
+// Очко войны за победу в баттле, если кланы победителя и проигравшего воюют друг с другом
+function recordClanWarBattle(winnerId, loserId) {
+    const winnerClan = getClanMembership(winnerId);
+    const loserClan = getClanMembership(loserId);
+    if (!winnerClan || !loserClan) return;
+
+    const war = getActiveWarBetweenStmt.get(winnerClan.clanId, loserClan.clanId, loserClan.clanId, winnerClan.clanId);
+    if (!war) return;
+    const isClanA = war.clanA === winnerClan.clanId;
+    addClanWarScoreStmt.run(isClanA ? 1 : 0, isClanA ? 0 : 1, war.id);
+    notifyClanWar(war, 'clan-war-score');
+}
+
+// Наградить всех участников клана (онлайн - в памяти, офлайн - сразу в БД)
+function rewardClanMembers(clanId, amount) {
+    getClanMembersStmt.all(clanId).forEach(m => {
+        const player = players.find(p => p.id === m.id);
+        if (player) {
+            creditResources(player, amount, 'clan_war');
+            savePlayer(player);
+            emitPlayerState(player);
+        } else {
+            addPlayerResourcesStmt.run(amount, m.id);
+            invalidateLeaderboard();
+        }
+    });
+}
+
+// Завершить войну: победитель по очкам, при равенстве - ничья без награды
+function finishClanWar(war) {
+    const winnerClanId = war.scoreA > war.scoreB ? war.clanA : war.scoreB > war.scoreA ? war.clanB : null;
+    finishClanWarStmt.run(winnerClanId, new Date().toISOString(), war.id);
+    if (winnerClanId) {
+        rewardClanMembers(winnerClanId, CLAN_WAR_CONFIG.REWARD_PER_MEMBER);
+    }
+    notifyClanWar(war, 'clan-war-ended');
+    markPlayersChanged();
+}
+
+// Завершаем войны с истёкшим временем (в том числе пережившие перезапуск сервера)
+setInterval(() => {
+    try {
+        getExpiredClanWarsStmt.all(new Date().toISOString()).forEach(finishClanWar);
+    } catch (err) {
+        console.error('clan wars tick error', err);
+    }
+}, CLAN_WAR_CONFIG.CHECK_INTERVAL);
+
+// --- ЧАТ ---
+// Каналы: 'global', 'clan:<clanId>' и 'dm:<playerId>:<playerId>' (id по алфавиту).
+// В каждом канале хранятся последние HISTORY_LIMIT сообщений, время - ISO-строка.
+function getDirectChannel(playerA, playerB) {
+    return 'dm:' + [playerA, playerB].sort().join(':');
+}
+
+function toChatPayload(row) {
+    return {
+        id: row.id,
+        channel: row.channel,
+        playerId: row.senderId,
+        playerName: row.senderName,
+        recipientId: row.recipientId,
+        recipientName: row.recipientName,
+        message: row.message,
+        watchBattleId: row.watchBattleId,
+        timestamp: row.createdAt
+    };
+}
+
+// Сохранить сообщение и разослать тем, кто видит канал
+function postChatMessage(entry) {
+    const row = {
+        channel: entry.channel,
+        senderId: entry.senderId || null,
+        senderName: entry.senderName,
+        recipientId: entry.recipientId || null,
+        recipientName: entry.recipientName || null,
+        message: entry.message,
+        watchBattleId: entry.watchBattleId || null,
+        createdAt: new Date().toISOString()
+    };
+    try {
+        db.transaction(() => {
+            row.id = insertChatMessageStmt.run(row).lastInsertRowid;
+            pruneChatChannelStmt.run({ channel: row.channel, limit: CHAT_CONFIG.HISTORY_LIMIT });
+        })();
+    } catch (err) {
+        console.error('DB chat message error', err);
+    }
+
+    const payload = toChatPayload(row);
+    if (row.channel.startsWith('clan:')) {
+        notifyClanMembers(parseInt(row.channel.slice(5)), 'chat-message', payload);
+    } else if (row.channel.startsWith('dm:')) {
+        io.to([row.senderId, row.recipientId]).emit('chat-message', payload);
+    } else {
+        io.emit('chat-message', payload);
+    }
+    return payload;
+}
+
+// Системное сообщение в общий канал
+function postSystemMessage(message, extra = {}) {
+    return postChatMessage({ channel: 'global', senderName: 'Система', message, ...extra });
+}
+
+// История для только что вошедшего игрока: общий канал, клан и личные переписки
+function getChatHistoryFor(playerId) {
+    const messages = getChatHistoryStmt.all('global', CHAT_CONFIG.HISTORY_LIMIT);
+    const membership = getClanMembership(playerId);
+    if (membership) {
+        messages.push(...getChatHistoryStmt.all('clan:' + membership.clanId, CHAT_CONFIG.HISTORY_LIMIT));
+    }
+    messages.push(...getDirectChatHistoryStmt.all({ playerId, limit: CHAT_CONFIG.HISTORY_LIMIT }));
+    return messages.sort((a, b) => a.id - b.id).map(toChatPayload);
+}
+
+// --- МОДЕРАЦИЯ ЧАТА ---
+// Латинские буквы и цифры, похожие на кириллицу (внешне или по звучанию, как s и n),
+// приводятся к ней перед проверкой фильтра.
+// Замена строго посимвольная, поэтому позиции найденных слов совпадают с исходным текстом.
+const LOOKALIKE_CHARS = {
+    a: 'а', b: 'в', c: 'с', e: 'е', h: 'н', k: 'к', m: 'м', n: 'п', o: 'о', p: 'р', r: 'г', s: 'с', t: 'т', u: 'и', x: 'х', y: 'у',
+    '0': 'о', '3': 'з', '4': 'ч', '6': 'б', '@': 'а', 'ё': 'е'
+};
+
+function normalizeForFilter(text) {
+    return text.split('').map(ch => {
+        const lower = ch.toLowerCase();
+        return lower.length === 1 ? (LOOKALIKE_CHARS[lower] || lower) : ch;
+    }).join('');
+}
+
+// Слова фильтра хранятся в chat_filter_words; базовый набор досеивается при старте
+MODERATION_CONFIG.DEFAULT_FILTER_WORDS.forEach(word => insertFilterWordStmt.run(word, new Date().toISOString()));
+let chatFilterWords = [];
+
+function loadChatFilterWords() {
+    chatFilterWords = [...new Set(getFilterWordsStmt.all().map(row => normalizeForFilter(row.word)))].filter(Boolean);
+}
+loadChatFilterWords();
+
+// Замаскировать запрещённые слова и ссылки, оставив остальное сообщение
+function filterChatMessage(message) {
+    const chars = message.split('');
+    const normalized = normalizeForFilter(message);
+    const mask = (start, length) => {
+        for (let i = start; i < start + length; i++) {
+            if (chars[i].trim()) chars[i] = MODERATION_CONFIG.MASK_CHAR;
+        }
+    };
+
+    chatFilterWords.forEach(word => {
+        let index = normalized.indexOf(word);
+        while (index !== -1) {
+            mask(index, word.length);
+            index = normalized.indexOf(word, index + word.length);
+        }
+    });
+
+    const urlRegex = /(http|https):\/\/[^\s]+/gi;
+    let match;
+    while ((match = urlRegex.exec(message)) !== null) {
+        mask(match.index, match[0].length);
+    }
+    return chars.join('');
+}
+
+// Ограничение частоты: запас сообщений восстанавливается со временем, флуд даёт паузу,
+// которая удваивается с каждым новым нарушением. Состояние: playerId -> { tokens, lastRefill, strikes, lastStrikeAt, cooldownUntil }
+const chatLimits = new Map();
+
+// Возвращает 0, если сообщение можно отправить, иначе сколько секунд ещё ждать
+function consumeChatAllowance(playerId) {
+    const now = Date.now();
+    let limit = chatLimits.get(playerId);
+    if (!limit) {
+        limit = { tokens: MODERATION_CONFIG.MESSAGE_BURST, lastRefill: now, strikes: 0, lastStrikeAt: 0, cooldownUntil: 0 };
+        chatLimits.set(playerId, limit);
+    }
+    if (limit.cooldownUntil > now) return Math.ceil((limit.cooldownUntil - now) / 1000);
+
+    const elapsed = (now - limit.lastRefill) / 1000;
+    limit.tokens = Math.min(MODERATION_CONFIG.MESSAGE_BURST, limit.tokens + elapsed * MODERATION_CONFIG.MESSAGES_PER_SECOND);
+    limit.lastRefill = now;
+    if (limit.tokens >= 1) {
+        limit.tokens -= 1;
+        return 0;
+    }
+
+    if (now - limit.lastStrikeAt > MODERATION_CONFIG.STRIKE_RESET) limit.strikes = 0;
+    limit.strikes++;
+    limit.lastStrikeAt = now;
+    const cooldown = Math.min(MODERATION_CONFIG.MAX_COOLDOWN, MODERATION_CONFIG.BASE_COOLDOWN * Math.pow(2, limit.strikes - 1));
+    limit.cooldownUntil = now + cooldown;
+    return Math.ceil(cooldown / 1000);
+}
+
+// Действующее наказание игрока ('mute' или 'ban') или undefined
+function getActiveSanction(playerId, type) {
+    return getActiveSanctionStmt.get(playerId, type, new Date().toISOString());
+}
+
+// Выдать мут или бан. minutes = 0 - бессрочно. Забаненный игрок сразу отключается.
+function issueSanction(playerId, type, minutes, reason, issuedBy) {
+    const now = Date.now();
+    const expiresAt = minutes > 0 ? new Date(now + minutes * 60 * 1000).toISOString() : null;
+    const info = insertSanctionStmt.run(playerId, type, reason || null, issuedBy || 'admin', new Date(now).toISOString(), expiresAt);
+    const sanction = getSanctionStmt.get(info.lastInsertRowid);
+
+    if (type === 'ban') {
+        io.to(playerId).emit('player-banned', { reason: sanction.reason, expiresAt });
+        io.in(playerId).disconnectSockets(true);
+    } else {
+        io.to(playerId).emit('chat-muted', { reason: sanction.reason, expiresAt });
+    }
+    return sanction;
+}
+
+// Может ли игрок пожаловаться на сообщение: оно должно быть в канале, который он видит
+function canSeeChatMessage(playerId, row) {
+    if (row.channel.startsWith('dm:')) return row.senderId === playerId || row.recipientId === playerId;
+    if (row.channel.startsWith('clan:')) {
+        const membership = getClanMembership(playerId);
+        return !!membership && 'clan:' + membership.clanId === row.channel;
+    }
+    return true;
+}
+
+// --- СТАВКИ В БАТТЛАХ ---
+// Вызовы, ожидающие ответа: "challengerId:targetId" -> { wager, createdAt }
+const pendingChallenges = new Map();
+
+function challengeKey(challengerId, targetId) {
+    return `${challengerId}:${targetId}`;
+}
+
+function isChallengeExpired(challenge, now = Date.now()) {
+    return now - challenge.createdAt > BATTLE_CONFIG.CHALLENGE_TTL;
+}
+
+// Просроченные вызовы просто забываем: до принятия ставка ничем не удерживается,
+// эскроу списывается только в startBattle
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, challenge] of pendingChallenges) {
+        if (isChallengeExpired(challenge, now)) pendingChallenges.delete(key);
+    }
+}, BATTLE_CONFIG.CHALLENGE_TTL);
+
+// Движение рыбок по эскроу баттла: escrow списывает, payout и refund начисляют,
+// house_cut только фиксируется. Каждое движение пишется в battle_ledger.
+function recordStakeMovement(battleId, playerId, type, amount) {
+    if (amount <= 0) return;
+    const player = players.find(p => p.id === playerId);
+    const delta = type === 'escrow' ? -amount : type === 'house_cut' ? 0 : amount;
+    if (delta !== 0) {
+        if (player) {
+            player.resources += delta;
+            updatePlayerResourcesStmt.run(player.resources, player.id);
+            invalidateLeaderboard();
+        } else {
+            addPlayerResourcesStmt.run(delta, playerId);
+            invalidateLeaderboard();
+        }
+    }
+    insertLedgerEntryStmt.run(battleId, playerId, type, amount, new Date().toISOString());
+}
+
+// Класс баттла
+class Battle {
+    constructor(player1, player2, wager = 0) {
+        this.id = this.generateBattleId();
+        this.player1 = player1;
+        this.player2 = player2;
+        this.players = [player1, player2];
+        this.turn = 0;
+        this.currentPlayer = player1.id;
+        this.health = {
+            [player1.id]: BATTLE_CONFIG.MAX_HEALTH,
+            [player2.id]: BATTLE_CONFIG.MAX_HEALTH
+        };
+        this.actions = [];
+        this.status = 'active'; // active, finished, cancelled
+        this.winner = null;
+        this.startTime = new Date();
+        this.lastActionTime = new Date();
+        this.turnTimer = null;
+        this.defending = {}; // playerId -> защита до его следующего хода
+        this.charged = {}; // playerId -> следующий удар усилен
+        this.wager = wager;
+        this.escrowed = false;
+        this.ranked = false; // создан подбором соперника
+        this.reward = 0;
+        this.turnDeadline = null;
+        this.disconnectedPlayerId = null; // игрок, которого ждём после обрыва связи
+        this.reconnectTimer = null;
+    }
+
+    // Игрок потерял связь: ставим баттл на паузу и ждём его RECONNECT_GRACE
+    pauseForReconnect(playerId) {
+        const remaining = this.turnDeadline ? Math.max(0, this.turnDeadline - Date.now()) : BATTLE_CONFIG.TURN_TIME;
+        if (this.turnTimer) {
+            clearTimeout(this.turnTimer);
+            this.turnTimer = null;
+        }
+        this.pausedTurnTime = remaining;
+        this.disconnectedPlayerId = playerId;
+
+        const player = playerId === this.player1.id ? this.player1 : this.player2;
+        this.actions.push({ type: 'disconnect', player: player.name, turn: this.turn, timestamp: new Date() });
+
+        this.reconnectTimer = setTimeout(() => this.forfeitDisconnected(), BATTLE_CONFIG.RECONNECT_GRACE);
+
+        const payload = { battleId: this.id, playerName: player.name, graceSeconds: Math.round(BATTLE_CONFIG.RECONNECT_GRACE / 1000) };
+        io.to(this.getOpponent(playerId).id).emit('battle-opponent-reconnecting', payload);
+        io.to(this.room).emit('battle-opponent-reconnecting', payload);
+        this.broadcastBattleUpdate();
+    }
+
+    // Игрок вернулся (тот же аккаунт): подменяем объект игрока и продолжаем ход
+    reattachPlayer(player) {
+        if (this.disconnectedPlayerId !== player.id) return false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.disconnectedPlayerId = null;
+
+        if (this.player1.id === player.id) this.player1 = player;
+        if (this.player2.id === player.id) this.player2 = player;
+        this.players = [this.player1, this.player2];
+        player.inBattle = true;
+        player.battleId = this.id;
+
+        this.actions.push({ type: 'reconnect', player: player.name, turn: this.turn, timestamp: new Date() });
+        this.startTurnTimer(this.pausedTurnTime);
+
+        io.to(player.id).emit('battle-resume', { battleId: this.id });
+        io.to(this.getOpponent(player.id).id).emit('battle-opponent-reconnected', { battleId: this.id, playerName: player.name });
+        this.broadcastBattleUpdate();
+        return true;
+    }
+
+    // Время ожидания вышло. Если никто ещё не сделал ни одного действия, баттл отменяется
+    // и ставки возвращаются (как при любой отмене); иначе победа и банк - оставшемуся игроку
+    forfeitDisconnected() {
+        if (this.status !== 'active' || !this.disconnectedPlayerId) return;
+        const loser = this.disconnectedPlayerId === this.player1.id ? this.player1 : this.player2;
+        const winner = this.getOpponent(loser.id);
+        this.disconnectedPlayerId = null;
+        this.reconnectTimer = null;
+
+        if (!this.actions.some(action => BATTLE_ACTION_COSTS[action.type] !== undefined)) {
+            this.cancelBattle('Противник не вернулся');
+            io.to(winner.id).emit('battle-cancelled', { reason: 'Противник не вернулся', battleId: this.id });
+            markPlayersChanged();
+            return;
+        }
+
+        this.actions.push({
+            type: 'forfeit',
+            player: loser.name,
+            turn: this.turn,
+            timestamp: new Date(),
+            battleEnd: true,
+            winner: winner.name
+        });
+        this.finishBattle(winner.id);
+        this.broadcastBattleUpdate();
+    }
+
+    // Комната socket.io для зрителей баттла
+    get room() {
+        return 'battle:' + this.id;
+    }
+
+    getSpectatorCount() {
+        const room = io.sockets.adapter.rooms.get(this.room);
+        return room ? room.size : 0;
+    }
+
+    // Сообщить участникам и зрителям число зрителей
+    broadcastSpectators() {
+        const payload = { battleId: this.id, count: this.getSpectatorCount() };
+        this.players.forEach(player => io.to(player.id).emit('battle-spectators', payload));
+        io.to(this.room).emit('battle-spectators', payload);
+    }
+
+    // Записать завершённый или отменённый баттл в историю и убрать его из памяти
+    archive() {
+        try {
+            const endedAt = new Date().toISOString();
+            db.transaction(() => {
+                insertBattleStmt.run({
+                    id: this.id,
+                    player1Id: this.player1.id,
+                    player1Name: this.player1.name,
+                    player2Id: this.player2.id,
+                    player2Name: this.player2.name,
+                    winnerId: this.winner,
+                    status: this.status,
+                    turns: this.turn,
+                    reward: this.reward,
+                    wager: this.wager,
+                    ranked: this.ranked ? 1 : 0,
+                    startedAt: this.startTime.toISOString(),
+                    endedAt
+                });
+                this.actions.forEach((action, seq) => {
+                    const timestamp = action.timestamp ? new Date(action.timestamp).toISOString() : endedAt;
+                    insertBattleActionStmt.run(this.id, seq, action.turn === undefined ? null : action.turn, action.type, JSON.stringify(action), timestamp);
+                });
+            })();
+        } catch (err) {
+            console.error('DB battle history error', err);
+        }
+        battles = battles.filter(b => b !== this);
+        this.releasePlayers();
+
+        if (this.tournamentMatchId) {
+            try {
+                onTournamentBattleEnd(this);
+            } catch (err) {
+                console.error('tournament battle end error', err);
+            }
+        }
+
+        // Зрители получают итог и выходят из комнаты
+        const winner = this.players.find(p => p.id === this.winner);
+        io.to(this.room).emit('spectate-ended', {
+            battleId: this.id,
+            status: this.status,
+            winner: winner ? winner.name : null
+        });
+        io.in(this.room).socketsLeave(this.room);
+    }
+
+    // Забрать ставки обоих игроков в эскроу
+    escrowStakes() {
+        if (!this.wager || this.escrowed) return;
+        db.transaction(() => {
+            this.players.forEach(p => recordStakeMovement(this.id, p.id, 'escrow', this.wager));
+        })();
+        this.escrowed = true;
+    }
+
+    // Вернуть ставки (отмена, отключение, ничья)
+    refundStakes() {
+        if (!this.escrowed) return;
+        db.transaction(() => {
+            this.players.forEach(p => recordStakeMovement(this.id, p.id, 'refund', this.wager));
+        })();
+        this.escrowed = false;
+    }
+
+    // Выплатить банк победителю за вычетом доли заведения
+    payoutStakes(winnerId) {
+        if (!this.escrowed) return 0;
+        const pot = this.wager * 2;
+        const cut = Math.floor(pot * BATTLE_CONFIG.HOUSE_CUT);
+        db.transaction(() => {
+            recordStakeMovement(this.id, winnerId, 'payout', pot - cut);
+            recordStakeMovement(this.id, winnerId, 'house_cut', cut);
+        })();
+        this.escrowed = false;
+        return pot - cut;
+    }
+
+    // Освободить участников после окончания баттла
+    releasePlayers() {
+        this.players.forEach(battlePlayer => {
+            const player = players.find(p => p.id === battlePlayer.id);
+            if (player && player.battleId === this.id) {
+                player.inBattle = false;
+                player.battleId = null;
+            }
+        });
+    }
+
+    generateBattleId() {
+        return 'battle_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Получить оппонента
+    getOpponent(playerId) {
+        return playerId === this.player1.id ? this.player2 : this.player1;
+    }
+
+    // Проверить, является ли игрок участником баттла
+    isParticipant(playerId) {
+        return this.player1.id === playerId || this.player2.id === playerId;
+    }
+
+    // Выполнить действие хода: attack, special, defend, heal или charge
+    performAction(attackerId, type) {
+        if (this.status !== 'active') return false;
+        if (this.disconnectedPlayerId) return false; // пауза до возвращения соперника
+        if (this.currentPlayer !== attackerId) return false;
+        if (!(type in BATTLE_ACTION_COSTS)) return false;
+
+        const attacker = attackerId === this.player1.id ? this.player1 : this.player2;
+        const defender = this.getOpponent(attackerId);
+        
+        const cost = BATTLE_ACTION_COSTS[type];
+        
+        // Проверяем достаточно ли ресурсов
+        if (attacker.resources < cost) return false;
+
+        // Вычитаем стоимость действия
+        const attackerIndex = players.findIndex(p => p.id === attackerId);
+        if (attackerIndex !== -1 && cost > 0) {
+            players[attackerIndex].resources -= cost;
+            try {
+                updatePlayerResourcesStmt.run(players[attackerIndex].resources, players[attackerIndex].id);
+                invalidateLeaderboard();
+            } catch (err) {
+                console.error('DB update after attack error', err);
+            }
+        }
+
+        // Защита действует только до следующего хода защищавшегося
+        delete this.defending[attackerId];
+
+        const action = {
+            type,
+            attacker: attacker.name,
+            defender: defender.name,
+            cost: cost,
+            turn: this.turn,
+            timestamp: new Date()
+        };
+
+        if (type === 'attack' || type === 'special') {
+            // Вычисляем урон
+            let damage = type === 'special' ? BATTLE_CONFIG.SPECIAL_ATTACK_DAMAGE : BATTLE_CONFIG.BASE_ATTACK_DAMAGE;
+            
+            // Добавляем бонус от силы клика (10% от clickPower)
+            const clickBonus = Math.floor(attacker.clickPower * 0.1);
+            damage += clickBonus;
+
+            // Случайный разброс урона ±20%
+            const variance = Math.floor(damage * 0.2);
+            damage += Math.floor(Math.random() * (variance * 2 + 1)) - variance;
+
+            if (this.charged[attackerId]) {
+                damage = Math.floor(damage * BATTLE_CONFIG.CHARGE_MULTIPLIER);
+                delete this.charged[attackerId];
+                action.charged = true;
+            }
+            if (this.defending[defender.id]) {
+                action.blocked = Math.min(damage, BATTLE_CONFIG.DEFENSE_BONUS);
+                damage -= action.blocked;
+                delete this.defending[defender.id];
+            }
+
+            // Применяем урон
+            this.health[defender.id] = Math.max(0, this.health[defender.id] - damage);
+            action.damage = damage;
+        } else if (type === 'defend') {
+            this.defending[attackerId] = true;
+        } else if (type === 'heal') {
+            const healed = Math.min(BATTLE_CONFIG.HEAL_AMOUNT, BATTLE_CONFIG.MAX_HEALTH - this.health[attackerId]);
+            this.health[attackerId] += healed;
+            action.heal = healed;
+        } else if (type === 'charge') {
+            this.charged[attackerId] = true;
+        }
+
+        this.actions.push(action);
+        this.lastActionTime = new Date();
+
+        // Проверяем окончание баттла
+        if (this.health[defender.id] <= 0) {
+            action.battleEnd = true;
+            action.winner = attacker.name;
+            this.finishBattle(attackerId);
+        } else {
+            // Передаем ход следующему игроку
+            this.currentPlayer = defender.id;
+            this.turn++;
+            
+            // Проверяем максимальное количество ходов
+            if (this.turn >= BATTLE_CONFIG.MAX_TURNS) {
+                this.finishBattle(this.getWinnerByHealth());
+            }
+        }
+
+        // Обновляем данные игроков
+        markPlayersChanged();
+
+        return action;
+    }
+
+    // Завершить баттл (winnerId = null - ничья, ставки возвращаются)
+    finishBattle(winnerId) {
+        this.status = 'finished';
+        this.winner = winnerId;
+
+        // Останавливаем таймеры
+        if (this.turnTimer) {
+            clearTimeout(this.turnTimer);
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+        }
+
+        // Рейтинг меняют только баттлы из подбора соперника
+        if (this.ranked) {
+            try {
+                this.updateRatings(winnerId);
+            } catch (err) {
+                console.error('DB rating update error', err);
+            }
+        }
+
+        if (!winnerId) {
+            try {
+                this.refundStakes();
+            } catch (err) {
+                console.error('DB refund on draw error', err);
+            }
+            this.players.forEach(p => io.to(p.id).emit('battle-ended', {
+                battleId: this.id,
+                winner: null,
+                draw: true,
+                ratingChange: this.ratingChange ? this.ratingChange[p.id] : 0
+            }));
+            this.archive();
+            markPlayersChanged();
+            return;
+        }
+
+        advanceTaskProgress(winnerId, 'battle_wins', 1);
+        try {
+            incrementBattleWinsStmt.run(winnerId);
+            checkAchievements(winnerId, 'battleWins', getPlayerStmt.get(winnerId).battleWins);
+            recordClanWarBattle(winnerId, this.getOpponent(winnerId).id);
+        } catch (err) {
+            console.error('DB battle wins error', err);
+        }
+        
+        // Награждаем победителя
+        const reward = 50 + this.turn * 5; // Базовая награда + за каждый ход
+        this.reward = reward;
+        const winnerIndex = players.findIndex(p => p.id === winnerId);
+        if (winnerIndex !== -1) {
+            creditResources(players[winnerIndex], reward, 'battle');
+            try {
+                updatePlayerResourcesStmt.run(players[winnerIndex].resources, players[winnerIndex].id);
+                invalidateLeaderboard();
+            } catch (err) {
+                console.error('DB update after reward error', err);
+            }
+        }
+
+        let payout = 0;
+        try {
+            payout = this.payoutStakes(winnerId);
+        } catch (err) {
+            console.error('DB wager payout error', err);
+        }
+
+        const winner = winnerId === this.player1.id ? this.player1 : this.player2;
+        this.players.forEach(p => io.to(p.id).emit('battle-ended', {
+            battleId: this.id,
+            winner: winner.name,
+            winnerId,
+            reward,
+            payout,
+            ratingChange: this.ratingChange ? this.ratingChange[p.id] : 0
+        }));
+        this.archive();
 
         // Обновляем данные игроков
-        io.emit('players-update', players);
+        markPlayersChanged();
+    }
+
+    // Пересчитать рейтинг Эло участников (winnerId = null - ничья)
+    updateRatings(winnerId) {
+        const [p1, p2] = this.players.map(p => players.find(online => online.id === p.id) || p);
+        const r1 = p1.rating || MATCHMAKING_CONFIG.INITIAL_RATING;
+        const r2 = p2.rating || MATCHMAKING_CONFIG.INITIAL_RATING;
+        const expected1 = 1 / (1 + Math.pow(10, (r2 - r1) / 400));
+        const score1 = winnerId === p1.id ? 1 : winnerId === p2.id ? 0 : 0.5;
+        const delta = Math.round(MATCHMAKING_CONFIG.K_FACTOR * (score1 - expected1));
+
+        p1.rating = r1 + delta;
+        p2.rating = r2 - delta;
+        updatePlayerRatingStmt.run(p1.rating, p1.id);
+        updatePlayerRatingStmt.run(p2.rating, p2.id);
+        this.ratingChange = { [p1.id]: delta, [p2.id]: -delta };
     }
 
     // Определить победителя по здоровью
@@ -278,10 +2429,9 @@ class Battle {
             return this.player1.id;
         } else if (this.health[this.player2.id] > this.health[this.player1.id]) {
             return this.player2.id;
-        } else {
-            // Ничья - случайный победитель
-            return Math.random() > 0.5 ? this.player1.id : this.player2.id;
         }
+        // Ничья
+        return null;
     }
 
     // Получить данные баттла для клиента
@@ -304,15 +2454,19 @@ class Battle {
             turn: this.turn,
             status: this.status,
             winner: this.winner,
+            wager: this.wager,
+            ranked: this.ranked,
+            spectators: this.getSpectatorCount(),
             actions: this.actions.slice(-10) // Последние 10 действий
         };
     }
 
     // Запустить таймер хода
-    startTurnTimer() {
+    startTurnTimer(duration = BATTLE_CONFIG.TURN_TIME) {
         if (this.turnTimer) {
             clearTimeout(this.turnTimer);
         }
+        this.turnDeadline = Date.now() + duration;
 
         this.turnTimer = setTimeout(() => {
             if (this.status === 'active') {
@@ -334,20 +2488,24 @@ class Battle {
 
                 // Проверяем окончание баттла
                 if (this.health[skippedPlayer] <= 0) {
-                    this.finishBattle(opponent.id);
                     action.battleEnd = true;
                     action.winner = opponent.name;
+                    this.finishBattle(opponent.id);
                 } else {
                     // Передаем ход
                     this.currentPlayer = opponent.id;
                     this.turn++;
-                    this.startTurnTimer();
+                    if (this.turn >= BATTLE_CONFIG.MAX_TURNS) {
+                        this.finishBattle(this.getWinnerByHealth());
+                    } else {
+                        this.startTurnTimer();
+                    }
                 }
 
                 // Отправляем обновление
                 this.broadcastBattleUpdate();
             }
-        }, BATTLE_CONFIG.TURN_TIME);
+        }, duration);
     }
 
     // Отправить обновление баттла всем участникам
@@ -356,6 +2514,7 @@ class Battle {
         this.players.forEach(player => {
             io.to(player.id).emit('battle-update', battleData);
         });
+        io.to(this.room).emit('battle-update', battleData);
     }
 
     // Отменить баттл
@@ -365,6 +2524,15 @@ class Battle {
         if (this.turnTimer) {
             clearTimeout(this.turnTimer);
         }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+        }
+
+        try {
+            this.refundStakes();
+        } catch (err) {
+            console.error('DB refund on cancel error', err);
+        }
 
         const cancelAction = {
             type: 'cancel',
@@ -374,7 +2542,586 @@ class Battle {
 
         this.actions.push(cancelAction);
         this.broadcastBattleUpdate();
+        this.archive();
+    }
+}
+
+// Начать баттл между двумя игроками: эскроу ставок, статусы, уведомления.
+// Бросает исключение, если ставки не удалось списать.
+function startBattle(player1, player2, wager = 0, options = {}) {
+    const battle = new Battle(player1, player2, wager);
+    battle.ranked = !!options.ranked;
+    battle.tournamentMatchId = options.tournamentMatchId || null;
+    battle.escrowStakes();
+    battles.push(battle);
+
+    leaveMatchmakingQueue(player1.id);
+    leaveMatchmakingQueue(player2.id);
+
+    // Обновляем статус игроков
+    player1.inBattle = true;
+    player1.battleId = battle.id;
+    player2.inBattle = true;
+    player2.battleId = battle.id;
+
+    // Отправляем уведомление о начале баттла
+    io.to(player1.id).emit('battle-start', battle.getBattleData());
+    io.to(player2.id).emit('battle-start', battle.getBattleData());
+
+    // Запускаем таймер первого хода
+    battle.startTurnTimer();
+
+    // Уведомляем всех о начале баттла (клиент показывает ссылку для просмотра)
+    postSystemMessage(`Начался баттл между ${player1.name} и ${player2.name}!`, { watchBattleId: battle.id });
+
+    console.log(`Баттл начался: ${player1.name} vs ${player2.name}`);
+    return battle;
+}
+
+// --- ПОДБОР СОПЕРНИКА ---
+// Очередь: { playerId, joinedAt }. Допуск по рейтингу растёт со временем ожидания.
+let matchmakingQueue = [];
+
+function getQueueTolerance(entry, now) {
+    const steps = Math.floor((now - entry.joinedAt) / MATCHMAKING_CONFIG.TOLERANCE_STEP_MS);
+    return Math.min(MATCHMAKING_CONFIG.MAX_TOLERANCE, MATCHMAKING_CONFIG.BASE_TOLERANCE + steps * MATCHMAKING_CONFIG.TOLERANCE_STEP);
+}
+
+function leaveMatchmakingQueue(playerId) {
+    const before = matchmakingQueue.length;
+    matchmakingQueue = matchmakingQueue.filter(e => e.playerId !== playerId);
+    return matchmakingQueue.length !== before;
+}
+
+// Пары составляются по порядку очереди: дольше ждущие подбираются первыми
+function runMatchmaking() {
+    const now = Date.now();
+    // Игроки, которые ушли или уже в баттле, из очереди выпадают
+    matchmakingQueue = matchmakingQueue.filter(e => {
+        const player = players.find(p => p.id === e.playerId);
+        return player && !player.inBattle;
+    });
+
+    const matched = new Set();
+    for (let i = 0; i < matchmakingQueue.length; i++) {
+        const a = matchmakingQueue[i];
+        if (matched.has(a.playerId)) continue;
+        const playerA = players.find(p => p.id === a.playerId);
+
+        for (let j = i + 1; j < matchmakingQueue.length; j++) {
+            const b = matchmakingQueue[j];
+            if (matched.has(b.playerId)) continue;
+            const playerB = players.find(p => p.id === b.playerId);
+            const tolerance = Math.min(getQueueTolerance(a, now), getQueueTolerance(b, now));
+            if (Math.abs(playerA.rating - playerB.rating) > tolerance) continue;
+
+            matched.add(a.playerId);
+            matched.add(b.playerId);
+            try {
+                const battle = startBattle(playerA, playerB, 0, { ranked: true });
+                io.to(playerA.id).emit('match-found', { battleId: battle.id, opponent: { id: playerB.id, name: playerB.name, rating: playerB.rating } });
+                io.to(playerB.id).emit('match-found', { battleId: battle.id, opponent: { id: playerA.id, name: playerA.name, rating: playerA.rating } });
+            } catch (err) {
+                console.error('matchmaking start error', err);
+            }
+            break;
+        }
+    }
+    matchmakingQueue = matchmakingQueue.filter(e => !matched.has(e.playerId));
+
+    // Оставшимся сообщаем текущий допуск, чтобы клиент мог показать ожидание
+    matchmakingQueue.forEach(e => {
+        io.to(e.playerId).emit('queue-status', {
+            waiting: Math.floor((now - e.joinedAt) / 1000),
+            tolerance: getQueueTolerance(e, now),
+            queueSize: matchmakingQueue.length
+        });
+    });
+}
+
+setInterval(() => {
+    try {
+        runMatchmaking();
+    } catch (err) {
+        console.error('matchmaking tick error', err);
+    }
+}, MATCHMAKING_CONFIG.TICK);
+
+// --- РЕЙДЫ НА БОССОВ ---
+// Текущий рейд живёт в памяти: { id, boss, health, maxHealth, startedAt, endsAt, damage: Map }
+let currentRaid = null;
+let raidDirty = false;
+
+function getRaidState() {
+    if (!currentRaid) return null;
+    const top = [...currentRaid.damage.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([playerId, damage]) => ({ playerId, name: currentRaid.names.get(playerId), damage }));
+    return {
+        id: currentRaid.id,
+        bossId: currentRaid.boss.id,
+        bossName: currentRaid.boss.name,
+        health: currentRaid.health,
+        maxHealth: currentRaid.maxHealth,
+        reward: currentRaid.boss.reward,
+        endsAt: new Date(currentRaid.endsAt).toISOString(),
+        participants: currentRaid.damage.size,
+        top
+    };
+}
+
+function spawnRaid(bossId) {
+    if (currentRaid) return null;
+    const boss = RAID_CONFIG.BOSSES.find(b => b.id === bossId) ||
+        RAID_CONFIG.BOSSES[Math.floor(Math.random() * RAID_CONFIG.BOSSES.length)];
+    const maxHealth = boss.health + RAID_CONFIG.HEALTH_PER_PLAYER * players.length;
+    const now = Date.now();
+    currentRaid = {
+        id: 'raid_' + now,
+        boss,
+        health: maxHealth,
+        maxHealth,
+        startedAt: now,
+        endsAt: now + RAID_CONFIG.DURATION,
+        damage: new Map(),
+        names: new Map()
+    };
+    io.emit('raid-started', getRaidState());
+    postSystemMessage(`🐙 Появился босс ${boss.name}! Все в атаку!`);
+    return currentRaid;
+}
+
+// Удар по боссу: урон = число кликов × сила клика с учётом множителей.
+// Удары тратят тот же лимит кликов, что и рыбалка, так что суммарная частота не растёт.
+function attackRaidBoss(player, count) {
+    if (!currentRaid) return 0;
+    const accepted = takeClickTokens(player, count);
+    if (accepted <= 0) return 0;
+
+    const damage = Math.min(currentRaid.health, Math.floor(accepted * player.clickPower * getIncomeMultiplier(player, 'click')));
+    currentRaid.health -= damage;
+    currentRaid.damage.set(player.id, (currentRaid.damage.get(player.id) || 0) + damage);
+    currentRaid.names.set(player.id, player.name);
+    raidDirty = true;
+
+    if (currentRaid.health <= 0) finishRaid(true);
+    return damage;
+}
+
+// Завершить рейд: при победе награда делится пропорционально нанесённому урону
+function finishRaid(defeated) {
+    const raid = currentRaid;
+    if (!raid) return;
+    currentRaid = null;
+    raidDirty = false;
+
+    const totalDamage = [...raid.damage.values()].reduce((sum, d) => sum + d, 0);
+    const rewards = [];
+    if (defeated && totalDamage > 0) {
+        raid.damage.forEach((damage, playerId) => {
+            const reward = Math.floor(raid.boss.reward * damage / totalDamage);
+            rewards.push({ playerId, name: raid.names.get(playerId), damage, reward });
+            if (reward <= 0) return;
+            try {
+                const player = players.find(p => p.id === playerId);
+                if (player) {
+                    creditResources(player, reward, 'raid');
+                    savePlayer(player);
+                    emitPlayerState(player);
+                } else {
+                    addPlayerResourcesStmt.run(reward, playerId);
+                    invalidateLeaderboard();
+                }
+            } catch (err) {
+                console.error('DB raid reward error', err);
+            }
+        });
+        rewards.sort((a, b) => b.damage - a.damage);
+    }
+
+    io.emit('raid-ended', {
+        id: raid.id,
+        bossName: raid.boss.name,
+        status: defeated ? 'defeated' : 'failed',
+        totalDamage,
+        maxHealth: raid.maxHealth,
+        rewards
+    });
+    postSystemMessage(defeated ? `🎉 ${raid.boss.name} повержен! Награда разделена между ${rewards.length} игроками.` : `💨 ${raid.boss.name} ушёл в глубину. Рейд провален.`);
+    markPlayersChanged();
+}
+
+// Состояние рейда рассылается не чаще раза в BROADCAST_INTERVAL
+setInterval(() => {
+    try {
+        if (!currentRaid) return;
+        if (Date.now() >= currentRaid.endsAt) {
+            finishRaid(false);
+            return;
+        }
+        if (raidDirty) {
+            raidDirty = false;
+            io.emit('raid-update', getRaidState());
+        }
+    } catch (err) {
+        console.error('raid tick error', err);
+    }
+}, RAID_CONFIG.BROADCAST_INTERVAL);
+
+setInterval(() => {
+    try {
+        if (players.length > 0) spawnRaid();
+    } catch (err) {
+        console.error('raid spawn error', err);
+    }
+}, RAID_CONFIG.INTERVAL);
+
+// --- ТУРНИРЫ ---
+// Сетка на выбывание хранится в SQLite: раунды состоят из матчей, каждый матч - обычный Battle.
+// Матч ждёт, пока оба участника будут онлайн и свободны; кто не явился за NO_SHOW_TIMEOUT - проигрывает.
+
+// Порядок посева в сетке: 1-й сеяный встречается с последним, 2-й - с предпоследним и т.д.
+function getBracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const mirror = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, mirror - seed]);
+    }
+    return order;
+}
+
+// Состояние турнира для клиента: участники и сетка по раундам
+function getTournamentState(tournamentId) {
+    const tournament = getTournamentStmt.get(tournamentId);
+    if (!tournament) return null;
+    const entrants = getTournamentPlayersStmt.all(tournamentId);
+    const names = new Map(entrants.map(e => [e.playerId, e.name]));
+    const toSide = (playerId) => playerId ? { id: playerId, name: names.get(playerId) } : null;
+
+    const bracket = [];
+    getTournamentMatchesStmt.all(tournamentId).forEach(match => {
+        (bracket[match.round - 1] = bracket[match.round - 1] || []).push({
+            id: match.id,
+            round: match.round,
+            slot: match.slot,
+            player1: toSide(match.player1Id),
+            player2: toSide(match.player2Id),
+            winnerId: match.winnerId,
+            battleId: match.battleId,
+            status: match.status,
+            result: match.result
+        });
+    });
+
+    return {
+        ...tournament,
+        players: entrants.map(e => ({
+            playerId: e.playerId,
+            name: e.name,
+            rating: e.rating,
+            seed: e.seed,
+            place: e.place,
+            prize: e.prize,
+            eliminatedRound: e.eliminatedRound
+        })),
+        bracket
+    };
+}
+
+function broadcastTournament(tournamentId) {
+    io.emit('tournament-update', getTournamentState(tournamentId));
+}
+
+// Открыть запись на новый турнир (одновременно открыт только один)
+function createTournament(options = {}) {
+    if (getOpenTournamentStmt.get()) return null;
+    const now = Date.now();
+    const signupDuration = options.signupMinutes ? options.signupMinutes * 60 * 1000 : TOURNAMENT_CONFIG.SIGNUP_DURATION;
+    const seeding = options.seeding === 'random' || options.seeding === 'rating' ? options.seeding : TOURNAMENT_CONFIG.SEEDING;
+    const name = options.name || `Кубок океана #${now.toString(36).slice(-4).toUpperCase()}`;
+    const info = insertTournamentStmt.run(name, seeding, new Date(now).toISOString(), new Date(now + signupDuration).toISOString());
+
+    broadcastTournament(info.lastInsertRowid);
+    postSystemMessage(`🏆 Открыта запись на турнир «${name}»!`);
+    return getTournamentStmt.get(info.lastInsertRowid);
+}
+
+// Закрыть запись: посеять участников и создать первый раунд.
+// Лучшие посевы при неполной сетке проходят дальше без соперника.
+function startTournament(tournament) {
+    const entrants = getTournamentPlayersStmt.all(tournament.id);
+    const now = new Date().toISOString();
+    if (entrants.length < TOURNAMENT_CONFIG.MIN_PLAYERS) {
+        cancelTournamentStmt.run(now, tournament.id);
+        broadcastTournament(tournament.id);
+        postSystemMessage(`Турнир «${tournament.name}» отменён: недостаточно участников`);
+        return;
+    }
+
+    if (tournament.seeding === 'random') {
+        for (let i = entrants.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [entrants[i], entrants[j]] = [entrants[j], entrants[i]];
+        }
+    } else {
+        entrants.sort((a, b) => b.rating - a.rating);
+    }
+
+    const size = Math.pow(2, Math.ceil(Math.log2(entrants.length)));
+    const order = getBracketOrder(size);
+    db.transaction(() => {
+        entrants.forEach((e, i) => setTournamentSeedStmt.run(i + 1, tournament.id, e.playerId));
+        startTournamentStmt.run(Math.log2(size), now, tournament.id);
+        for (let slot = 0; slot < size / 2; slot++) {
+            const player1 = entrants[order[slot * 2] - 1];
+            const player2 = entrants[order[slot * 2 + 1] - 1];
+            insertTournamentMatchStmt.run({
+                tournamentId: tournament.id,
+                round: 1,
+                slot,
+                player1Id: player1.playerId,
+                player2Id: player2 ? player2.playerId : null,
+                winnerId: player2 ? null : player1.playerId,
+                status: player2 ? 'pending' : 'finished',
+                result: player2 ? null : 'bye',
+                readySince: now,
+                finishedAt: player2 ? null : now
+            });
+        }
+    })();
+
+    broadcastTournament(tournament.id);
+    postSystemMessage(`🏆 Турнир «${tournament.name}» начался! Участников: ${entrants.length}`);
+    advanceTournament(tournament.id);
+}
+
+// Если все матчи текущего раунда сыграны - создать следующий раунд или подвести итоги
+function advanceTournament(tournamentId) {
+    const tournament = getTournamentStmt.get(tournamentId);
+    if (!tournament || tournament.status !== 'running') return;
+    const matches = getTournamentRoundStmt.all(tournamentId, tournament.currentRound);
+    if (matches.some(m => m.status !== 'finished')) return;
+
+    if (tournament.currentRound >= tournament.rounds) {
+        finishTournament(tournament, matches[0]);
+        return;
+    }
+
+    const round = tournament.currentRound + 1;
+    const now = new Date().toISOString();
+    db.transaction(() => {
+        setTournamentRoundStmt.run(round, tournamentId);
+        for (let slot = 0; slot < matches.length / 2; slot++) {
+            // После двойной неявки у матча нет победителя: соперник проходит без игры,
+            // а если пусты обе стороны - пуст и следующий матч
+            const entrants = [matches[slot * 2].winnerId, matches[slot * 2 + 1].winnerId].filter(Boolean);
+            const walkover = entrants.length < 2;
+            insertTournamentMatchStmt.run({
+                tournamentId,
+                round,
+                slot,
+                player1Id: entrants[0] || null,
+                player2Id: entrants[1] || null,
+                winnerId: walkover ? entrants[0] || null : null,
+                status: walkover ? 'finished' : 'pending',
+                result: walkover ? (entrants.length ? 'bye' : 'no_show') : null,
+                readySince: now,
+                finishedAt: walkover ? now : null
+            });
+        }
+    })();
+    broadcastTournament(tournamentId);
+    advanceTournament(tournamentId);
+}
+
+// Записать итог матча: проигравший выбывает, победитель ждёт следующего раунда.
+// winnerId = null (не явились оба) - выбывают оба
+function finishTournamentMatch(match, winnerId, result) {
+    const loserIds = [match.player1Id, match.player2Id].filter(id => id && id !== winnerId);
+    db.transaction(() => {
+        finishTournamentMatchStmt.run(winnerId, result, new Date().toISOString(), match.id);
+        loserIds.forEach(loserId => eliminateTournamentPlayerStmt.run(match.round, match.tournamentId, loserId));
+    })();
+    broadcastTournament(match.tournamentId);
+    advanceTournament(match.tournamentId);
+}
+
+// Вызывается из Battle.archive(): победа продвигает по сетке, ничья или отмена - переигровка
+function onTournamentBattleEnd(battle) {
+    const match = getTournamentMatchStmt.get(battle.tournamentMatchId);
+    if (!match || match.status !== 'active' || match.battleId !== battle.id) return;
+    if (battle.status === 'finished' && battle.winner) {
+        finishTournamentMatch(match, battle.winner, 'battle');
+    } else {
+        resetTournamentMatchStmt.run(new Date().toISOString(), match.id);
+        broadcastTournament(match.tournamentId);
+    }
+}
+
+// Проигравший в матче с победителем (в матче без победителя мест нет)
+function getMatchLoser(match) {
+    if (!match.winnerId) return null;
+    return match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+}
+
+// Финал сыгран: места и призы (полуфиналисты делят третье место).
+// Если в финале не явились оба, турнир завершается без победителя
+function finishTournament(tournament, final) {
+    const semifinals = tournament.rounds > 1 ? getTournamentRoundStmt.all(tournament.id, tournament.rounds - 1) : [];
+    const placements = [
+        { playerId: final.winnerId, place: 1 },
+        { playerId: getMatchLoser(final), place: 2 },
+        ...semifinals.map(match => ({ playerId: getMatchLoser(match), place: 3 }))
+    ].filter(p => p.playerId);
+
+    db.transaction(() => {
+        finishTournamentStmt.run(final.winnerId, new Date().toISOString(), tournament.id);
+        placements.forEach(p => setTournamentPlaceStmt.run(p.place, TOURNAMENT_CONFIG.PRIZES[p.place - 1] || 0, tournament.id, p.playerId));
+    })();
+
+    placements.forEach(({ playerId, place }) => {
+        const prize = TOURNAMENT_CONFIG.PRIZES[place - 1] || 0;
+        if (!playerId || prize <= 0) return;
+        try {
+            const player = players.find(p => p.id === playerId);
+            if (player) {
+                creditResources(player, prize, 'tournament');
+                savePlayer(player);
+                emitPlayerState(player);
+            } else {
+                addPlayerResourcesStmt.run(prize, playerId);
+                invalidateLeaderboard();
+            }
+        } catch (err) {
+            console.error('DB tournament prize error', err);
+        }
+    });
+
+    const state = getTournamentState(tournament.id);
+    const champion = final.winnerId ? state.players.find(p => p.playerId === final.winnerId) : null;
+    io.emit('tournament-update', state);
+    postSystemMessage(final.winnerId
+        ? `🏆 Победитель турнира «${tournament.name}» - ${champion ? champion.name : 'неизвестный'}!`
+        : `🏆 Турнир «${tournament.name}» завершён без победителя: финалисты не явились.`);
+    markPlayersChanged();
+}
+
+// Запустить ожидающий матч, когда оба участника онлайн и свободны, либо засчитать неявку
+function tryStartTournamentMatch(match, now) {
+    const player1 = players.find(p => p.id === match.player1Id);
+    const player2 = players.find(p => p.id === match.player2Id);
+    const ready1 = !!player1 && !player1.inBattle;
+    const ready2 = !!player2 && !player2.inBattle;
+
+    if (ready1 && ready2) {
+        const battle = startBattle(player1, player2, 0, { tournamentMatchId: match.id });
+        setTournamentMatchBattleStmt.run(battle.id, match.id);
+        broadcastTournament(match.tournamentId);
+        return;
+    }
+
+    if (now - new Date(match.readySince).getTime() < TOURNAMENT_CONFIG.NO_SHOW_TIMEOUT) return;
+    // Не явились оба - выбывают оба, их следующий соперник пройдёт без игры
+    if (!ready1 && !ready2) {
+        finishTournamentMatch(match, null, 'no_show');
+        return;
+    }
+    finishTournamentMatch(match, ready1 ? match.player1Id : match.player2Id, 'forfeit');
+}
+
+function processTournaments() {
+    const tournament = getOpenTournamentStmt.get();
+    if (!tournament) return;
+    const now = Date.now();
+
+    if (tournament.status === 'signup') {
+        if (now >= new Date(tournament.signupEndsAt).getTime()) startTournament(tournament);
+        return;
+    }
+
+    getTournamentRoundStmt.all(tournament.id, tournament.currentRound)
+        .filter(m => m.status === 'pending')
+        .forEach(match => {
+            try {
+                tryStartTournamentMatch(match, now);
+            } catch (err) {
+                console.error('tournament match start error', err);
+            }
+        });
+}
+
+// Баттлы живут в памяти: после перезапуска незавершённые турнирные матчи переигрываются
+resetActiveTournamentMatchesStmt.run(new Date().toISOString());
+
+setInterval(() => {
+    try {
+        processTournaments();
+    } catch (err) {
+        console.error('tournament tick error', err);
+    }
+}, TOURNAMENT_CONFIG.TICK);
+
+setInterval(() => {
+    try {
+        createTournament();
+    } catch (err) {
+        console.error('tournament schedule error', err);
+    }
+}, TOURNAMENT_CONFIG.INTERVAL);
+
+// Игрок ушёл из сети (закрыл последнюю вкладку или сменил аккаунт на этом сокете):
+// баттлы ждут его возвращения, очередь и вызовы забываются, прогресс сохраняется
+function handlePlayerOffline(player, socket) {
+    // Баттлы игрока ждут его возвращения. Если соперник тоже не в сети - отменяем.
+    const playerBattles = battles.filter(b => b.isParticipant(player.id) && b.status === 'active');
+    
+    playerBattles.forEach(battle => {
+        if (!battle.disconnectedPlayerId) {
+            battle.pauseForReconnect(player.id);
+            return;
+        }
+
+        battle.cancelBattle('Оба игрока отключились');
+        
+        const opponent = battle.getOpponent(player.id);
+        if (opponent) {
+            // Уведомляем оппонента
+            io.to(opponent.id).emit('battle-cancelled', {
+                reason: 'Противник отключился',
+                battleId: battle.id
+            });
+        }
+    });
+
+    leaveMatchmakingQueue(player.id);
+
+    // Забываем неотвеченные вызовы с его участием
+    for (const key of pendingChallenges.keys()) {
+        const [challengerId, targetId] = key.split(':');
+        if (challengerId === player.id || targetId === player.id) {
+            pendingChallenges.delete(key);
+        }
+    }
+
+    // Запоминаем время выхода для расчёта оффлайн-дохода
+    try {
+        savePlayer(player);
+    } catch (err) {
+        console.error('DB save on disconnect error', err);
     }
+    
+    players = players.filter(p => p !== player);
+    
+    // Отправляем обновленный список
+    markPlayersChanged();
+    
+    // Уведомляем о выходе игрока
+    socket.broadcast.emit('player-left', {
+        name: player.name
+    });
+    
+    console.log(`Игрок ${player.name} покинул игру. Осталось: ${players.length}`);
 }
 
 // Обработка подключений
@@ -382,14 +3129,52 @@ io.on('connection', (socket) => {
     console.log('Новый игрок подключился:', socket.id);
     
     // Отправляем текущему игроку список всех игроков сразу после подключения
-    socket.emit('players-update', players);
+    socket.emit('players-snapshot', getPlayersSnapshot());
     
     // Обработчик присоединения игрока
     socket.on('player-join', (playerData) => {
-        console.log('Игрок присоединяется:', playerData);
-        
+        playerData = playerData || {};
+        console.log('Игрок присоединяется:', { ...playerData, token: playerData.token ? '***' : undefined });
+
+        // Восстанавливаем аккаунт по токену, иначе заводим новый
+        let storedPlayer = null;
+        if (playerData.token) {
+            storedPlayer = getPlayerByTokenStmt.get(String(playerData.token));
+        }
+        if (!storedPlayer && socket.data.playerId) {
+            storedPlayer = getPlayerStmt.get(socket.data.playerId);
+        }
+        const playerId = storedPlayer ? storedPlayer.id : generatePlayerId();
+        const token = (storedPlayer && storedPlayer.token) || generatePlayerToken();
+
+        const ban = storedPlayer ? getActiveSanction(playerId, 'ban') : null;
+        if (ban) {
+            socket.emit('player-banned', { reason: ban.reason, expiresAt: ban.expiresAt });
+            socket.disconnect(true);
+            return;
+        }
+
+        // Сокет переключился на другой аккаунт - убираем прежнего игрока этого сокета
+        if (socket.data.playerId && socket.data.playerId !== playerId) {
+            const previousId = socket.data.playerId;
+            const previous = players.find(p => p.id === previousId);
+            socket.leave(previousId);
+            const remainingSockets = io.sockets.adapter.rooms.get(previousId);
+            if (previous && remainingSockets && remainingSockets.size > 0) {
+                if (previous.socketId === socket.id) previous.socketId = remainingSockets.values().next().value;
+            } else if (previous) {
+                handlePlayerOffline(previous, socket);
+            }
+        }
+        socket.data.playerId = playerId;
+        // Комната с id игрока: io.to(player.id) доходит до всех его вкладок
+        socket.join(playerId);
+
         // Проверяем и корректируем имя если нужно
         let playerName = (playerData && playerData.name) ? String(playerData.name).trim() : null;
+        if (!playerName && storedPlayer) {
+            playerName = storedPlayer.name;
+        }
         if (!playerName) {
             playerName = 'Кот_' + (100 + Math.floor(Math.random() * 900));
         }
@@ -398,60 +3183,68 @@ io.on('connection', (socket) => {
         // contains a trailing _NNN-like suffix, strip it before comparing to avoid repeated growth.
         const stripSuffix = (n) => n.replace(/_[0-9]{2,4}$/, '');
         const baseName = stripSuffix(playerName);
-        const existingPlayer = players.find(p => stripSuffix(p.name) === baseName);
+        const existingPlayer = players.find(p => p.id !== playerId && stripSuffix(p.name) === baseName);
         if (existingPlayer) {
             // Append a single short suffix
             const suffix = 100 + Math.floor(Math.random() * 900);
             playerName = baseName + '_' + suffix;
         }
         
-        // If this socket is already known, update the existing player instead of adding a duplicate
-        const existingIndex = players.findIndex(p => p.id === socket.id);
+        // If this player is already online, update the existing entry instead of adding a duplicate
+        const existingIndex = players.findIndex(p => p.id === playerId);
         let player;
+        let offlineEarnings = null;
         if (existingIndex !== -1) {
             player = players[existingIndex];
             const oldName = player.name;
             player.name = playerName;
-            player.resources = playerData.resources != null ? playerData.resources : player.resources;
-            player.clickPower = playerData.clickPower != null ? playerData.clickPower : player.clickPower;
-            player.autoPower = playerData.autoPower != null ? playerData.autoPower : player.autoPower;
-            player.currentSkin = playerData.currentSkin || player.currentSkin;
+            player.socketId = socket.id;
             // keep joinedAt
             console.log(`Игрок ${oldName} обновил профиль -> ${player.name}`);
         } else {
-            // Создаем объект игрока
+            const stored = storedPlayer || {};
+            const now = Date.now();
+            const ownedSkins = loadPlayerSkins(playerId);
+            const storedSkin = getSkin(stored.currentSkin);
+            // Создаем объект игрока. Экономика берётся только из БД - значения клиента игнорируются
             player = {
-                id: socket.id,
+                id: playerId,
+                socketId: socket.id,
                 name: playerName,
-                resources: playerData.resources || 0,
-                clickPower: playerData.clickPower || 1,
-                autoPower: playerData.autoPower || 0,
-                currentSkin: playerData.currentSkin || 'default',
+                resources: stored.resources || 0,
+                clickPower: stored.clickPower || 1,
+                autoPower: stored.autoPower || 0,
+                currentSkin: storedSkin && ownedSkins.includes(storedSkin.id) ? stored.currentSkin : 'default',
+                ownedSkins,
+                upgrades: storedPlayer ? loadPlayerUpgrades(playerId) : {},
+                boostUntil: 0,
+                clickTokens: ECONOMY_CONFIG.CLICK_BURST,
+                lastClickRefill: now,
+                lastIncomeAt: now,
+                incomeRemainder: 0,
                 inBattle: false,
                 battleId: null,
-                joinedAt: new Date()
+                rating: stored.rating || MATCHMAKING_CONFIG.INITIAL_RATING,
+                totalCaught: stored.totalCaught || 0,
+                prestigeLevel: stored.prestigeLevel || 0,
+                prestigePoints: stored.prestigePoints || 0,
+                joinedAt: stored.joinedAt || new Date().toISOString()
             };
             // Добавляем игрока (в память)
             players.push(player);
+            offlineEarnings = applyOfflineEarnings(player, stored.lastSeen);
         }
 
         // Сохраняем / обновляем в БД
         try {
-            upsertPlayerStmt.run({
-                id: player.id,
-                name: player.name,
-                resources: player.resources,
-                clickPower: player.clickPower,
-                autoPower: player.autoPower,
-                currentSkin: player.currentSkin,
-                joinedAt: player.joinedAt
-            });
+            savePlayer(player);
+            updatePlayerTokenStmt.run(token, player.id);
         } catch (err) {
             console.error('DB upsert player error:', err);
         }
         
         // Отправляем обновленный список всем игрокам
-        io.emit('players-update', players);
+        markPlayersChanged();
         
         // Уведомляем о новом игроке
         socket.broadcast.emit('player-joined', {
@@ -459,56 +3252,213 @@ io.on('connection', (socket) => {
             resources: player.resources
         });
         
-        // Отправляем текущему игроку его ID
+        // Отправляем текущему игроку его постоянный ID и токен для следующих входов
         socket.emit('player-registered', {
-            id: socket.id,
-            name: playerName
+            id: player.id,
+            name: playerName,
+            token,
+            resources: player.resources,
+            clickPower: player.clickPower,
+            autoPower: player.autoPower,
+            currentSkin: player.currentSkin
         });
+        emitPlayerState(player);
+        if (offlineEarnings && offlineEarnings.amount > 0) {
+            socket.emit('offline-earnings', offlineEarnings);
+        }
+
+        try {
+            checkAllAchievements(player);
+        } catch (err) {
+            console.error('DB achievements check error', err);
+        }
+
+        // Текущий сезон и идущие события
+        try {
+            socket.emit('season-started', currentSeason);
+            socket.emit('events-update', { multiplier: eventMultiplier, events: getActiveGameEventsStmt.all() });
+        } catch (err) {
+            console.error('DB events error', err);
+        }
+
+        // Последние сообщения каналов, которые видит игрок
+        try {
+            socket.emit('chat-history', { messages: getChatHistoryFor(player.id) });
+        } catch (err) {
+            console.error('DB chat history error', err);
+        }
+
+        if (currentRaid) {
+            socket.emit('raid-update', getRaidState());
+        }
+
+        const openTournament = getOpenTournamentStmt.get();
+        if (openTournament) {
+            socket.emit('tournament-update', getTournamentState(openTournament.id));
+        }
+
+        // Вернулся в течение RECONNECT_GRACE - продолжаем прерванный баттл
+        const pausedBattle = battles.find(b => b.disconnectedPlayerId === player.id);
+        if (pausedBattle) {
+            pausedBattle.reattachPlayer(player);
+        }
+
+        // Доставляем накопившиеся приглашения и заявки в клан
+        try {
+            getPlayerInvitesStmt.all(player.id).forEach(invite => socket.emit('clan-invite', invite));
+            const membership = getClanMembership(player.id);
+            if (membership && membership.role !== 'member') {
+                getClanJoinRequestsStmt.all(membership.clanId).forEach(request => socket.emit('clan-join-request', request));
+            }
+        } catch (err) {
+            console.error('DB clan notifications error', err);
+        }
         
         console.log(`Игрок ${playerName} присоединился. Всего игроков: ${players.length}`);
     });
 
-    // Обработчик обновления данных игрока
-    socket.on('player-update', (playerData) => {
-        const playerIndex = players.findIndex(p => p.id === socket.id);
-        
-        if (playerIndex !== -1) {
-            players[playerIndex].resources = playerData.resources || players[playerIndex].resources;
-            players[playerIndex].clickPower = playerData.clickPower || players[playerIndex].clickPower;
-            players[playerIndex].autoPower = playerData.autoPower || players[playerIndex].autoPower;
-            players[playerIndex].currentSkin = playerData.currentSkin || players[playerIndex].currentSkin;
-            
-            // Отправляем обновленный список всем
-            io.emit('players-update', players);
+    // Пачка кликов по косатке
+    socket.on('click-batch', (data, cb) => {
+        const player = getSocketPlayer(socket);
+        if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+
+        const count = Math.max(0, Math.min(parseInt(data && data.count) || 0, ECONOMY_CONFIG.CLICK_BURST));
+        const result = applyClicks(player, count);
+        if (result.gain > 0) {
+            try {
+                savePlayer(player);
+            } catch (err) {
+                console.error('DB save clicks error', err);
+            }
+        }
+        emitPlayerState(player);
+        cb && cb({ ok: true, accepted: result.accepted, gain: result.gain });
+    });
+
+    // Покупка улучшения
+    socket.on('buy-upgrade', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+
+            const upgradeId = parseInt(data && data.upgradeId);
+            const upgrade = UPGRADES.find(u => u.id === upgradeId);
+            if (!upgrade) return cb && cb({ ok: false, error: 'Улучшение не найдено' });
+
+            const owned = player.upgrades[upgrade.id] || 0;
+            const cost = getUpgradeCost(upgrade, owned);
+            if (player.resources < cost) return cb && cb({ ok: false, error: 'Недостаточно рыбок для покупки!' });
+            if (upgrade.type === 'boost' && isBoostActive(player)) {
+                return cb && cb({ ok: false, error: 'Буст уже активен!' });
+            }
+
+            player.resources -= cost;
+            if (upgrade.type === 'click') {
+                player.clickPower += upgrade.power;
+            } else if (upgrade.type === 'auto') {
+                player.autoPower += upgrade.power;
+            } else if (upgrade.type === 'boost') {
+                player.boostUntil = Date.now() + upgrade.duration * 1000;
+            }
+            player.upgrades[upgrade.id] = owned + 1;
+
+            savePlayer(player);
+            upsertPlayerUpgradeStmt.run(player.id, upgrade.id, owned + 1);
+            checkAchievements(player.id, 'upgrades', Object.values(player.upgrades).reduce((sum, count) => sum + count, 0));
+
+            emitPlayerState(player);
+            markPlayersChanged();
+            cb && cb({ ok: true, upgrade: { id: upgrade.id, type: upgrade.type, power: upgrade.power, duration: upgrade.duration } });
+        } catch (err) {
+            console.error('buy-upgrade error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Перерождение: сброс прогресса за очки престижа
+    socket.on('prestige', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            if (player.inBattle) return cb && cb({ ok: false, error: 'Нельзя переродиться во время баттла' });
+            if (getPrestigeGain(player) <= 0) {
+                return cb && cb({ ok: false, error: `Для перерождения нужно ${PRESTIGE_CONFIG.MIN_FISH} рыбок` });
+            }
+
+            const gain = prestigePlayer(player);
+            emitPlayerState(player);
+            markPlayersChanged();
+            cb && cb({ ok: true, gain, prestigeLevel: player.prestigeLevel, prestigePoints: player.prestigePoints });
+        } catch (err) {
+            console.error('prestige error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Покупка скина
+    socket.on('buy-skin', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+
+            const skin = getSkin(data && data.skinId);
+            if (!skin) return cb && cb({ ok: false, error: 'Скин не найден' });
+            if (player.ownedSkins.includes(skin.id)) return cb && cb({ ok: false, error: 'Скин уже куплен' });
+            if (player.resources < skin.cost) return cb && cb({ ok: false, error: 'Недостаточно рыбок для покупки!' });
+
+            player.resources -= skin.cost;
+            player.ownedSkins.push(skin.id);
+            player.currentSkin = skin.id;
+
+            insertPlayerSkinStmt.run(player.id, skin.id, new Date().toISOString());
+            savePlayer(player);
+            checkAchievements(player.id, 'skins', player.ownedSkins.length);
+
+            emitPlayerState(player);
+            markPlayersChanged();
+            cb && cb({ ok: true, skin });
+        } catch (err) {
+            console.error('buy-skin error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Выбор купленного скина
+    socket.on('equip-skin', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+
+            const skin = getSkin(data && data.skinId);
+            if (!skin) return cb && cb({ ok: false, error: 'Скин не найден' });
+            if (!player.ownedSkins.includes(skin.id)) return cb && cb({ ok: false, error: 'Скин не куплен' });
 
-            // Обновляем в БД
-            try {
-                updatePlayerResourcesStmt.run(players[playerIndex].resources, players[playerIndex].id);
-                upsertPlayerStmt.run({
-                    id: players[playerIndex].id,
-                    name: players[playerIndex].name,
-                    resources: players[playerIndex].resources,
-                    clickPower: players[playerIndex].clickPower,
-                    autoPower: players[playerIndex].autoPower,
-                    currentSkin: players[playerIndex].currentSkin,
-                    joinedAt: players[playerIndex].joinedAt
-                });
-            } catch (err) {
-                console.error('DB update player error:', err);
-            }
+            player.currentSkin = skin.id;
+            savePlayer(player);
+
+            emitPlayerState(player);
+            markPlayersChanged();
+            cb && cb({ ok: true, skin });
+        } catch (err) {
+            console.error('equip-skin error', err);
+            cb && cb({ ok: false, error: String(err) });
         }
     });
 
     // --- КЛАНЫ ---
     socket.on('create-clan', (data, cb) => {
         try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
             const name = String(data.name).trim();
             if (!name) return cb && cb({ ok: false, error: 'Invalid name' });
-            const info = insertClanStmt.run(name, socket.id, new Date().toISOString());
+            if (getClanMembership(playerId)) return cb && cb({ ok: false, error: 'Вы уже состоите в клане' });
+            const info = insertClanStmt.run(name, playerId, new Date().toISOString());
             const clanId = info.lastInsertRowid;
-            addClanMemberStmt.run(clanId, socket.id, 'owner');
+            addClanMemberStmt.run(clanId, playerId, 'owner', new Date().toISOString());
+            checkAchievements(playerId, 'clansFounded', 1);
             // return clan row
-            const clan = db.prepare('SELECT * FROM clans WHERE id = ?').get(clanId);
+            const clan = getClanStmt.get(clanId);
             cb && cb({ ok: true, clan });
             // broadcast update
             io.emit('clans-updated');
@@ -525,9 +3475,34 @@ io.on('connection', (socket) => {
 
     socket.on('join-clan', (data, cb) => {
         try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
             const clanId = parseInt(data.clanId);
             if (!clanId) return cb && cb({ ok: false, error: 'Invalid clanId' });
-            addClanMemberStmt.run(clanId, socket.id, 'member');
+            const clan = getClanStmt.get(clanId);
+            if (!clan) return cb && cb({ ok: false, error: 'Клан не найден' });
+            if (getClanMembership(playerId)) return cb && cb({ ok: false, error: 'Сначала покиньте текущий клан' });
+            if (clan.joinPolicy === 'closed') return cb && cb({ ok: false, error: 'Клан закрыт для вступления' });
+            if (isClanFull(clan)) return cb && cb({ ok: false, error: 'В клане нет свободных мест' });
+
+            // В клан по приглашениям вступают через заявку, которую одобряет владелец или офицер
+            if (clan.joinPolicy === 'invite') {
+                if (getPendingJoinRequestStmt.get(clanId, playerId)) {
+                    return cb && cb({ ok: false, error: 'Заявка уже отправлена' });
+                }
+                const info = insertJoinRequestStmt.run(clanId, playerId, new Date().toISOString());
+                const player = getSocketPlayer(socket);
+                notifyClanOfficers(clanId, 'clan-join-request', {
+                    id: info.lastInsertRowid,
+                    clanId,
+                    playerId,
+                    playerName: player ? player.name : playerId
+                });
+                return cb && cb({ ok: true, requested: true });
+            }
+
+            addPlayerToClan(clanId, playerId);
+            refreshClanPerks([playerId]);
             cb && cb({ ok: true });
             io.emit('clans-updated');
         } catch (err) {
@@ -536,14 +3511,124 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Пожертвовать рыбок в казну своего клана
+    socket.on('donate-clan', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(player.id);
+            if (!membership) return cb && cb({ ok: false, error: 'Вы не состоите в клане' });
+
+            const amount = Math.floor(Number(data && data.amount));
+            if (!(amount > 0)) return cb && cb({ ok: false, error: 'Invalid amount' });
+            if (player.resources < amount) return cb && cb({ ok: false, error: 'Недостаточно рыбок' });
+
+            player.resources -= amount;
+            savePlayer(player);
+            donateToClan(membership.clanId, player.id, amount);
+
+            emitPlayerState(player);
+            cb && cb({ ok: true, treasury: getClanStmt.get(membership.clanId).treasury });
+            io.emit('clans-updated');
+            markPlayersChanged();
+        } catch (err) {
+            console.error('donate-clan error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Купить следующий уровень улучшения клана из казны (владелец и офицеры)
+    socket.on('buy-clan-perk', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role === 'member') return cb && cb({ ok: false, error: 'Тратить казну могут только владелец и офицеры' });
+
+            const perk = CLAN_PERKS.find(p => p.id === (data && data.perkId));
+            if (!perk) return cb && cb({ ok: false, error: 'Улучшение не найдено' });
+            const current = loadClanPerks(membership.clanId).find(p => p.id === perk.id);
+            if (current.level >= perk.maxLevel) return cb && cb({ ok: false, error: 'Достигнут максимальный уровень' });
+            const clan = getClanStmt.get(membership.clanId);
+            if (clan.treasury < current.cost) return cb && cb({ ok: false, error: 'Недостаточно рыбок в казне' });
+
+            buyClanPerk(clan.id, perk.id, current.level + 1, current.cost);
+
+            // Множители участников изменились - обновляем их состояние сразу
+            refreshClanPerks(getClanMembersStmt.all(clan.id).map(m => m.id));
+            cb && cb({ ok: true, perks: loadClanPerks(clan.id), treasury: clan.treasury - current.cost });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('buy-clan-perk error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Объявить войну другому клану (владелец и офицеры)
+    socket.on('declare-clan-war', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role === 'member') return cb && cb({ ok: false, error: 'Объявлять войну могут только владелец и офицеры' });
+
+            const targetClanId = parseInt(data && data.clanId);
+            if (!targetClanId || targetClanId === membership.clanId) return cb && cb({ ok: false, error: 'Invalid clanId' });
+            if (!getClanStmt.get(targetClanId)) return cb && cb({ ok: false, error: 'Клан не найден' });
+            if (getOpenClanWarStmt.get(membership.clanId, membership.clanId)) return cb && cb({ ok: false, error: 'Ваш клан уже участвует в войне' });
+            if (getOpenClanWarStmt.get(targetClanId, targetClanId)) return cb && cb({ ok: false, error: 'Этот клан уже участвует в войне' });
+
+            const info = insertClanWarStmt.run(membership.clanId, targetClanId, playerId, new Date().toISOString());
+            const war = getClanWarStmt.get(info.lastInsertRowid);
+            notifyClanOfficers(targetClanId, 'clan-war-declared', war);
+            io.emit('clan-wars-updated');
+            cb && cb({ ok: true, war });
+        } catch (err) {
+            console.error('declare-clan-war error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Принять или отклонить объявленную войну (владелец и офицеры вызванного клана)
+    socket.on('respond-clan-war', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const war = getClanWarStmt.get(parseInt(data && data.warId));
+            if (!war || war.status !== 'pending') return cb && cb({ ok: false, error: 'Война не найдена' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.clanId !== war.clanB || membership.role === 'member') {
+                return cb && cb({ ok: false, error: 'Недостаточно прав' });
+            }
+
+            if (data && data.accept) {
+                const now = Date.now();
+                startClanWarStmt.run(new Date(now).toISOString(), new Date(now + CLAN_WAR_CONFIG.DURATION).toISOString(), war.id);
+                notifyClanWar(war, 'clan-war-started');
+            } else {
+                setClanWarStatusStmt.run('declined', new Date().toISOString(), war.id);
+                notifyClanWar(war, 'clan-war-declined');
+            }
+            cb && cb({ ok: true, war: getClanWarStmt.get(war.id) });
+        } catch (err) {
+            console.error('respond-clan-war error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
     // Leave clan handler - removes the player from the clan_members table
     socket.on('leave-clan', (data, cb) => {
         try {
-            const clanId = parseInt(data.clanId);
-            if (!clanId) return cb && cb({ ok: false, error: 'Invalid clanId' });
-            const del = db.prepare('DELETE FROM clan_members WHERE clanId = ? AND playerId = ?');
-            del.run(clanId, socket.id);
-            cb && cb({ ok: true });
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership) return cb && cb({ ok: false, error: 'Вы не состоите в клане' });
+            const result = leaveClan(membership);
+            refreshClanPerks([playerId]);
+            if (result.newOwnerId) {
+                io.to(result.newOwnerId).emit('clan-role-changed', { clanId: membership.clanId, clanName: membership.clanName, role: 'owner' });
+            }
+            cb && cb({ ok: true, ...result });
             io.emit('clans-updated');
         } catch (err) {
             console.error('leave-clan error', err);
@@ -551,100 +3636,431 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Настройки клана: политика вступления и лимит участников (только владелец)
+    socket.on('update-clan-settings', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role !== 'owner') return cb && cb({ ok: false, error: 'Только владелец может менять настройки клана' });
+
+            const clan = getClanStmt.get(membership.clanId);
+            const joinPolicy = data && data.joinPolicy !== undefined ? data.joinPolicy : clan.joinPolicy;
+            const maxMembers = data && data.maxMembers !== undefined ? parseInt(data.maxMembers) : clan.maxMembers;
+            if (!CLAN_CONFIG.JOIN_POLICIES.includes(joinPolicy)) return cb && cb({ ok: false, error: 'Invalid joinPolicy' });
+            if (!(maxMembers >= 1) || maxMembers > CLAN_CONFIG.MAX_MEMBERS_LIMIT) {
+                return cb && cb({ ok: false, error: `Лимит участников должен быть от 1 до ${CLAN_CONFIG.MAX_MEMBERS_LIMIT}` });
+            }
+            if (maxMembers < countClanMembersStmt.get(clan.id).c) {
+                return cb && cb({ ok: false, error: 'Лимит меньше текущего числа участников' });
+            }
+
+            updateClanSettingsStmt.run(joinPolicy, maxMembers, clan.id);
+            cb && cb({ ok: true, clan: getClanStmt.get(clan.id) });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('update-clan-settings error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Ожидающие заявки в клан игрока (для владельца и офицеров)
+    socket.on('get-clan-requests', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role === 'member') return cb && cb({ ok: true, requests: [] });
+            cb && cb({ ok: true, requests: getClanJoinRequestsStmt.all(membership.clanId) });
+        } catch (err) {
+            console.error('get-clan-requests error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Одобрить или отклонить заявку в клан
+    socket.on('respond-join-request', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const request = getJoinRequestStmt.get(parseInt(data && data.requestId));
+            if (!request || request.status !== 'pending') return cb && cb({ ok: false, error: 'Заявка не найдена' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.clanId !== request.clanId || membership.role === 'member') {
+                return cb && cb({ ok: false, error: 'Недостаточно прав' });
+            }
+
+            const clan = getClanStmt.get(request.clanId);
+            const accept = !!(data && data.accept);
+            if (accept) {
+                if (getClanMembership(request.playerId)) {
+                    resolveJoinRequestStmt.run('cancelled', new Date().toISOString(), playerId, request.id);
+                    return cb && cb({ ok: false, error: 'Игрок уже состоит в другом клане' });
+                }
+                if (isClanFull(clan)) return cb && cb({ ok: false, error: 'В клане нет свободных мест' });
+                resolveJoinRequestStmt.run('accepted', new Date().toISOString(), playerId, request.id);
+                addPlayerToClan(request.clanId, request.playerId);
+                refreshClanPerks([request.playerId]);
+            } else {
+                resolveJoinRequestStmt.run('rejected', new Date().toISOString(), playerId, request.id);
+            }
+
+            io.to(request.playerId).emit('clan-join-request-resolved', { clanId: clan.id, clanName: clan.name, accepted: accept });
+            notifyClanOfficers(clan.id, 'clan-requests-updated', { clanId: clan.id });
+            cb && cb({ ok: true });
+            if (accept) io.emit('clans-updated');
+        } catch (err) {
+            console.error('respond-join-request error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Пригласить онлайн-игрока в свой клан (владелец и офицеры)
+    socket.on('invite-to-clan', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role === 'member') return cb && cb({ ok: false, error: 'Приглашать могут только владелец и офицеры' });
+
+            const target = players.find(p => p.id === (data && data.playerId));
+            if (!target) return cb && cb({ ok: false, error: 'Игрок не в сети' });
+            if (getClanMembership(target.id)) return cb && cb({ ok: false, error: 'Игрок уже состоит в клане' });
+            if (getPendingClanInviteStmt.get(membership.clanId, target.id)) return cb && cb({ ok: false, error: 'Приглашение уже отправлено' });
+            const clan = getClanStmt.get(membership.clanId);
+            if (isClanFull(clan)) return cb && cb({ ok: false, error: 'В клане нет свободных мест' });
+
+            const inviter = getSocketPlayer(socket);
+            const info = insertClanInviteStmt.run(clan.id, target.id, playerId, new Date().toISOString());
+            io.to(target.id).emit('clan-invite', {
+                id: info.lastInsertRowid,
+                clanId: clan.id,
+                clanName: clan.name,
+                invitedBy: playerId,
+                invitedByName: inviter ? inviter.name : playerId
+            });
+            cb && cb({ ok: true });
+        } catch (err) {
+            console.error('invite-to-clan error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Ожидающие приглашения текущего игрока
+    socket.on('get-my-clan-invites', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            cb && cb({ ok: true, invites: getPlayerInvitesStmt.all(playerId) });
+        } catch (err) {
+            console.error('get-my-clan-invites error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Принять или отклонить приглашение в клан
+    socket.on('respond-clan-invite', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const invite = getClanInviteStmt.get(parseInt(data && data.inviteId));
+            if (!invite || invite.playerId !== playerId || invite.status !== 'pending') {
+                return cb && cb({ ok: false, error: 'Приглашение не найдено' });
+            }
+
+            const clan = getClanStmt.get(invite.clanId);
+            const accept = !!(data && data.accept);
+            if (accept) {
+                if (getClanMembership(playerId)) return cb && cb({ ok: false, error: 'Сначала покиньте текущий клан' });
+                if (isClanFull(clan)) return cb && cb({ ok: false, error: 'В клане нет свободных мест' });
+                resolveClanInviteStmt.run('accepted', new Date().toISOString(), invite.id);
+                addPlayerToClan(clan.id, playerId);
+                refreshClanPerks([playerId]);
+            } else {
+                resolveClanInviteStmt.run('rejected', new Date().toISOString(), invite.id);
+            }
+
+            const player = getSocketPlayer(socket);
+            io.to(invite.invitedBy).emit('clan-invite-resolved', {
+                clanId: clan.id,
+                playerName: player ? player.name : playerId,
+                accepted: accept
+            });
+            cb && cb({ ok: true });
+            if (accept) io.emit('clans-updated');
+        } catch (err) {
+            console.error('respond-clan-invite error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Общая проверка для управления участником: actor и target в одном клане
+    function getClanManagementContext(data) {
+        const actorId = socket.data.playerId;
+        if (!actorId) return { error: 'Player not registered' };
+        const actor = getClanMembership(actorId);
+        if (!actor) return { error: 'Вы не состоите в клане' };
+        const targetId = data && data.playerId;
+        if (!targetId || targetId === actorId) return { error: 'Invalid playerId' };
+        const target = getClanMemberStmt.get(actor.clanId, targetId);
+        if (!target) return { error: 'Игрок не состоит в вашем клане' };
+        return { actor, target };
+    }
+
+    // Повысить участника до офицера (только владелец)
+    socket.on('promote-clan-member', (data, cb) => {
+        try {
+            const { error, actor, target } = getClanManagementContext(data);
+            if (error) return cb && cb({ ok: false, error });
+            if (actor.role !== 'owner') return cb && cb({ ok: false, error: 'Только владелец может назначать офицеров' });
+            if (target.role !== 'member') return cb && cb({ ok: false, error: 'Игрок уже офицер' });
+            updateClanMemberRoleStmt.run('officer', actor.clanId, target.playerId);
+            io.to(target.playerId).emit('clan-role-changed', { clanId: actor.clanId, clanName: actor.clanName, role: 'officer' });
+            cb && cb({ ok: true });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('promote-clan-member error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Понизить офицера до участника (только владелец)
+    socket.on('demote-clan-member', (data, cb) => {
+        try {
+            const { error, actor, target } = getClanManagementContext(data);
+            if (error) return cb && cb({ ok: false, error });
+            if (actor.role !== 'owner') return cb && cb({ ok: false, error: 'Только владелец может снимать офицеров' });
+            if (target.role !== 'officer') return cb && cb({ ok: false, error: 'Игрок не офицер' });
+            updateClanMemberRoleStmt.run('member', actor.clanId, target.playerId);
+            io.to(target.playerId).emit('clan-role-changed', { clanId: actor.clanId, clanName: actor.clanName, role: 'member' });
+            cb && cb({ ok: true });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('demote-clan-member error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Исключить из клана: можно исключать только тех, чья роль ниже своей
+    socket.on('kick-clan-member', (data, cb) => {
+        try {
+            const { error, actor, target } = getClanManagementContext(data);
+            if (error) return cb && cb({ ok: false, error });
+            if (actor.role === 'member' || CLAN_ROLE_RANK[target.role] >= CLAN_ROLE_RANK[actor.role]) {
+                return cb && cb({ ok: false, error: 'Недостаточно прав для исключения' });
+            }
+            removeClanMemberStmt.run(actor.clanId, target.playerId);
+            refreshClanPerks([target.playerId]);
+            io.to(target.playerId).emit('clan-kicked', { clanId: actor.clanId, clanName: actor.clanName });
+            cb && cb({ ok: true });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('kick-clan-member error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Передать владение кланом другому участнику
+    socket.on('transfer-clan-ownership', (data, cb) => {
+        try {
+            const { error, actor, target } = getClanManagementContext(data);
+            if (error) return cb && cb({ ok: false, error });
+            if (actor.role !== 'owner') return cb && cb({ ok: false, error: 'Только владелец может передать клан' });
+            transferClanOwnership(actor.clanId, actor.playerId, target.playerId);
+            io.to(target.playerId).emit('clan-role-changed', { clanId: actor.clanId, clanName: actor.clanName, role: 'owner' });
+            cb && cb({ ok: true });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('transfer-clan-ownership error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Распустить клан (только владелец)
+    socket.on('disband-clan', (data, cb) => {
+        try {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const membership = getClanMembership(playerId);
+            if (!membership || membership.role !== 'owner') return cb && cb({ ok: false, error: 'Только владелец может распустить клан' });
+            const members = getClanMembersStmt.all(membership.clanId);
+            disbandClan(membership.clanId);
+            refreshClanPerks(members.map(m => m.id));
+            members.filter(m => m.id !== playerId).forEach(m => {
+                io.to(m.id).emit('clan-disbanded', { clanId: membership.clanId, clanName: membership.clanName });
+            });
+            cb && cb({ ok: true });
+            io.emit('clans-updated');
+        } catch (err) {
+            console.error('disband-clan error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
     // --- ЕЖЕДНЕВНЫЕ ЗАДАНИЯ ---
     socket.on('claim-task', (data, cb) => {
         try {
             const taskId = parseInt(data.taskId);
-            const playerId = socket.id;
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
             if (!taskId) return cb && cb({ ok: false, error: 'Invalid taskId' });
 
-            // Проверяем, можно ли брать задачу (repeat_interval_days)
-            const taskInfo = db.prepare('SELECT * FROM daily_tasks WHERE id = ?').get(taskId);
+            // Задание должно входить в сегодняшний набор игрока
+            const day = getTaskDay();
+            const taskInfo = getPlayerDailyTasks(playerId, day).find(t => t.id === taskId);
             if (!taskInfo) return cb && cb({ ok: false, error: 'Task not found' });
 
             const playerTask = getPlayerTaskStmt.get(playerId, taskId);
             const now = new Date();
+            const state = getTaskProgress(taskInfo, playerTask, day);
 
-            if (playerTask && playerTask.lastCompletedAt) {
-                const last = new Date(playerTask.lastCompletedAt);
-                const diffDays = Math.floor((now - last) / (1000 * 60 * 60 * 24));
-                if (diffDays < (taskInfo.repeat_interval_days || 1)) {
-                    return cb && cb({ ok: false, error: 'Задание уже выполнено. Повтор доступен позже.' });
-                }
+            if (state.status === 'completed') {
+                return cb && cb({ ok: false, error: 'Задание уже выполнено. Новые задания появятся завтра.' });
+            }
+            if (!state.claimable) {
+                return cb && cb({ ok: false, error: `Задание ещё не выполнено (${state.progress}/${state.target})` });
             }
 
-            if (!playerTask) {
-                insertPlayerTaskStmt.run(playerId, taskId, 'completed', now.toISOString());
-            } else {
-                updatePlayerTaskStmt.run('completed', now.toISOString(), playerId, taskId);
+            updatePlayerTaskStmt.run('completed', now.toISOString(), playerId, taskId);
+
+            // Серия: первая награда за день продлевает её, пропуск дня - сбрасывает
+            const streak = getTaskStreak(getPlayerStmt.get(playerId), day);
+            if (!streak.countedToday) {
+                updateTaskStreakStmt.run(streak.days, day, playerId);
             }
+            checkAchievements(playerId, 'taskStreak', streak.days);
+            const multiplier = getStreakMultiplier(streak.days);
+            const reward = Math.floor(taskInfo.reward * multiplier);
 
             // Выдать награду
-            const rewardInfo = db.prepare('SELECT reward FROM daily_tasks WHERE id = ?').get(taskId);
-            if (rewardInfo) {
-                const player = players.find(p => p.id === playerId);
-                if (player) {
-                    player.resources += rewardInfo.reward;
-                    upsertPlayerStmt.run({
-                        id: player.id,
-                        name: player.name,
-                        resources: player.resources,
-                        clickPower: player.clickPower,
-                        autoPower: player.autoPower,
-                        currentSkin: player.currentSkin,
-                        joinedAt: player.joinedAt
-                    });
-                    io.emit('players-update', players);
-                }
+            const player = players.find(p => p.id === playerId);
+            if (player) {
+                creditResources(player, reward, 'task');
+                savePlayer(player);
+                emitPlayerState(player);
+                markPlayersChanged();
             }
 
-            cb && cb({ ok: true });
+            cb && cb({ ok: true, reward, streak: { days: streak.days, multiplier } });
         } catch (err) {
             console.error('claim-task error', err);
             cb && cb({ ok: false, error: String(err) });
         }
     });
 
-    // Обработчик сообщений чата
-    socket.on('chat-message', (data) => {
-        if (isValidMessage(data.message)) {
-            // Добавляем отправителя из данных сокета
-            const player = players.find(p => p.id === socket.id);
-            if (player) {
-                io.emit('chat-message', {
-                    playerName: player.name,
-                    message: data.message,
-                    timestamp: new Date().toLocaleTimeString()
-                });
+    // Обработчик сообщений чата: { message, channel: 'global' | 'clan' } или { message, to: playerId } для личного
+    socket.on('chat-message', (data, cb) => {
+        try {
+            data = data || {};
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            if (!isValidMessage(data.message)) return cb && cb({ ok: false, error: 'Сообщение отклонено' });
+
+            const mute = getActiveSanction(player.id, 'mute');
+            if (mute) {
+                return cb && cb({ ok: false, error: 'Вы не можете писать в чат', mutedUntil: mute.expiresAt, reason: mute.reason });
+            }
+            const wait = consumeChatAllowance(player.id);
+            if (wait > 0) return cb && cb({ ok: false, error: `Слишком часто. Подождите ${wait} с`, retryAfter: wait });
+
+            const entry = { senderId: player.id, senderName: player.name, message: filterChatMessage(data.message.trim()) };
+            if (data.to) {
+                const recipient = getPlayerStmt.get(String(data.to));
+                if (!recipient || recipient.id === player.id) return cb && cb({ ok: false, error: 'Получатель не найден' });
+                entry.channel = getDirectChannel(player.id, recipient.id);
+                entry.recipientId = recipient.id;
+                entry.recipientName = recipient.name;
+            } else if (data.channel === 'clan') {
+                const membership = getClanMembership(player.id);
+                if (!membership) return cb && cb({ ok: false, error: 'Вы не состоите в клане' });
+                entry.channel = 'clan:' + membership.clanId;
+            } else {
+                entry.channel = 'global';
+            }
+
+            const message = postChatMessage(entry);
+            cb && cb({ ok: true, message });
+        } catch (err) {
+            console.error('chat-message error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Пожаловаться на сообщение: жалоба попадает в очередь модераторов
+    socket.on('report-message', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            const row = getChatMessageStmt.get(parseInt(data && data.messageId));
+            if (!row || !row.senderId || !canSeeChatMessage(player.id, row)) return cb && cb({ ok: false, error: 'Сообщение не найдено' });
+            if (row.senderId === player.id) return cb && cb({ ok: false, error: 'Нельзя пожаловаться на своё сообщение' });
+            if (getDuplicateReportStmt.get(row.id, player.id)) return cb && cb({ ok: false, error: 'Вы уже пожаловались на это сообщение' });
+
+            insertReportStmt.run({
+                messageId: row.id,
+                channel: row.channel,
+                reporterId: player.id,
+                reportedId: row.senderId,
+                reportedName: row.senderName,
+                message: row.message,
+                reason: String((data && data.reason) || '').slice(0, 200),
+                createdAt: new Date().toISOString()
+            });
+            cb && cb({ ok: true });
+        } catch (err) {
+            console.error('report-message error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // История канала (например, после вступления в клан): { channel: 'global' | 'clan' } или { with: playerId }
+    socket.on('get-chat-history', (data, cb) => {
+        try {
+            data = data || {};
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+
+            let channel = 'global';
+            if (data.with) {
+                channel = getDirectChannel(player.id, String(data.with));
+            } else if (data.channel === 'clan') {
+                const membership = getClanMembership(player.id);
+                if (!membership) return cb && cb({ ok: false, error: 'Вы не состоите в клане' });
+                channel = 'clan:' + membership.clanId;
             }
+            cb && cb({ ok: true, messages: getChatHistoryStmt.all(channel, CHAT_CONFIG.HISTORY_LIMIT).map(toChatPayload) });
+        } catch (err) {
+            console.error('get-chat-history error', err);
+            cb && cb({ ok: false, error: String(err) });
         }
     });
 
     // Обработчик запроса списка игроков
     socket.on('get-players', () => {
-        socket.emit('players-update', players);
+        socket.emit('players-snapshot', getPlayersSnapshot());
     });
 
     // Возвращает задачи для текущего игрока с полем claimable/status
     socket.on('get-my-tasks', (data, cb) => {
         try {
-            const playerId = socket.id;
-            const tasks = getDailyTasksStmt.all();
-            const out = tasks.map(t => {
+            const playerId = socket.data.playerId;
+            if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+            const player = players.find(p => p.id === playerId);
+            if (player) flushTaskProgress(player);
+            const day = getTaskDay();
+            const streak = getTaskStreak(getPlayerStmt.get(playerId), day);
+            const multiplier = getStreakMultiplier(streak.days);
+            const out = getPlayerDailyTasks(playerId, day).map(t => {
                 const pt = getPlayerTaskStmt.get(playerId, t.id);
-                let lastCompletedAt = pt ? pt.lastCompletedAt : null;
-                let status = pt ? pt.status : 'pending';
-                let claimable = true;
-                if (lastCompletedAt) {
-                    const last = new Date(lastCompletedAt);
-                    const diffDays = Math.floor((Date.now() - last) / (1000 * 60 * 60 * 24));
-                    if (diffDays < (t.repeat_interval_days || 1)) {
-                        claimable = false;
-                    }
-                }
-                return { ...t, status, lastCompletedAt, claimable };
+                const lastCompletedAt = pt ? pt.lastCompletedAt : null;
+                return { ...t, ...getTaskProgress(t, pt, day), rewardWithBonus: Math.floor(t.reward * multiplier), lastCompletedAt };
+            });
+            cb && cb({
+                ok: true,
+                tasks: out,
+                streak: { days: streak.days, multiplier },
+                resetsAt: getNextTaskReset().toISOString()
             });
-            cb && cb({ ok: true, tasks: out });
         } catch (err) {
             console.error('get-my-tasks error', err);
             cb && cb({ ok: false, error: String(err) });
@@ -655,8 +4071,8 @@ io.on('connection', (socket) => {
 
     // Вызов игрока на баттл
     socket.on('battle-challenge', (data) => {
-        const challenger = players.find(p => p.id === socket.id);
-        const targetPlayer = players.find(p => p.id === data.targetId);
+        const challenger = getSocketPlayer(socket);
+        const targetPlayer = data && players.find(p => p.id === data.targetId);
 
         if (!challenger || !targetPlayer) {
             socket.emit('battle-error', { message: 'Игрок не найден' });
@@ -673,11 +4089,19 @@ io.on('connection', (socket) => {
             return;
         }
 
-        if (challenger.resources < BATTLE_CONFIG.ATTACK_COST) {
+        const wager = Math.floor(Number(data.wager) || 0);
+        if (wager < 0 || wager > BATTLE_CONFIG.MAX_WAGER) {
+            socket.emit('battle-error', { message: `Ставка должна быть от 0 до ${BATTLE_CONFIG.MAX_WAGER}` });
+            return;
+        }
+
+        if (challenger.resources < BATTLE_CONFIG.ATTACK_COST + wager) {
             socket.emit('battle-error', { message: 'Недостаточно рыбок для баттла' });
             return;
         }
 
+        pendingChallenges.set(challengeKey(challenger.id, targetPlayer.id), { wager, createdAt: Date.now() });
+
         // Отправляем вызов целевому игроку
         io.to(targetPlayer.id).emit('battle-challenge', {
             challenger: {
@@ -685,6 +4109,7 @@ io.on('connection', (socket) => {
                 name: challenger.name,
                 resources: challenger.resources
             },
+            wager,
             challengeId: 'challenge_' + Date.now()
         });
 
@@ -693,8 +4118,8 @@ io.on('connection', (socket) => {
 
     // Принятие вызова на баттл
     socket.on('battle-accept', (data) => {
-        const acceptor = players.find(p => p.id === socket.id);
-        const challenger = players.find(p => p.id === data.challengerId);
+        const acceptor = getSocketPlayer(socket);
+        const challenger = data && data.challengerId && players.find(p => p.id === data.challengerId);
 
         if (!acceptor || !challenger) {
             socket.emit('battle-error', { message: 'Игрок не найден' });
@@ -706,42 +4131,121 @@ io.on('connection', (socket) => {
             return;
         }
 
-        if (acceptor.resources < BATTLE_CONFIG.ATTACK_COST) {
+        // Принять можно только вызов, сохранённый на сервере; ставка берётся из него
+        const key = challengeKey(challenger.id, acceptor.id);
+        const challenge = pendingChallenges.get(key);
+        if (!challenge || isChallengeExpired(challenge)) {
+            pendingChallenges.delete(key);
+            socket.emit('battle-error', { message: 'Вызов не найден или устарел' });
+            return;
+        }
+        const wager = challenge.wager;
+
+        if (acceptor.resources < BATTLE_CONFIG.ATTACK_COST + wager) {
             socket.emit('battle-error', { message: 'Недостаточно рыбок для баттла' });
             return;
         }
 
-        // Создаем новый баттл
-        const battle = new Battle(challenger, acceptor);
-        battles.push(battle);
+        if (challenger.resources < wager) {
+            socket.emit('battle-error', { message: 'У соперника больше нет рыбок на ставку' });
+            return;
+        }
+
+        pendingChallenges.delete(key);
 
-        // Обновляем статус игроков
-        challenger.inBattle = true;
-        challenger.battleId = battle.id;
-        acceptor.inBattle = true;
-        acceptor.battleId = battle.id;
+        try {
+            startBattle(challenger, acceptor, wager);
+        } catch (err) {
+            console.error('DB escrow error', err);
+            socket.emit('battle-error', { message: 'Не удалось принять ставки' });
+        }
+    });
 
-        // Отправляем уведомление о начале баттла
-        io.to(challenger.id).emit('battle-start', battle.getBattleData());
-        io.to(acceptor.id).emit('battle-start', battle.getBattleData());
+    // Удар по боссу рейда
+    socket.on('raid-attack', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            if (!currentRaid) return cb && cb({ ok: false, error: 'Сейчас нет рейда' });
+            const count = Math.max(0, Math.floor(Number(data && data.count) || 0));
+            const damage = attackRaidBoss(player, count);
+            cb && cb({ ok: true, damage });
+        } catch (err) {
+            console.error('raid-attack error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
 
-        // Запускаем таймер первого хода
-        battle.startTurnTimer();
+    // Записаться на турнир, пока открыта запись
+    socket.on('tournament-register', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            const tournament = getOpenTournamentStmt.get();
+            if (!tournament || tournament.status !== 'signup') return cb && cb({ ok: false, error: 'Запись на турнир закрыта' });
+            if (getTournamentPlayerStmt.get(tournament.id, player.id)) return cb && cb({ ok: false, error: 'Вы уже записаны' });
+            if (getTournamentPlayersStmt.all(tournament.id).length >= TOURNAMENT_CONFIG.MAX_PLAYERS) {
+                return cb && cb({ ok: false, error: 'Все места заняты' });
+            }
 
-        // Уведомляем всех о начале баттла
-        io.emit('chat-message', {
-            playerName: 'Система',
-            message: `Начался баттл между ${challenger.name} и ${acceptor.name}!`,
-            timestamp: new Date().toLocaleTimeString()
-        });
+            insertTournamentPlayerStmt.run(tournament.id, player.id, player.name, player.rating || MATCHMAKING_CONFIG.INITIAL_RATING, new Date().toISOString());
+            broadcastTournament(tournament.id);
+            cb && cb({ ok: true, tournamentId: tournament.id });
+        } catch (err) {
+            console.error('tournament-register error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Отказаться от участия до начала турнира
+    socket.on('tournament-leave', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            const tournament = getOpenTournamentStmt.get();
+            if (!tournament || tournament.status !== 'signup') return cb && cb({ ok: false, error: 'Турнир уже начался' });
+            if (deleteTournamentPlayerStmt.run(tournament.id, player.id).changes === 0) {
+                return cb && cb({ ok: false, error: 'Вы не записаны' });
+            }
+
+            broadcastTournament(tournament.id);
+            cb && cb({ ok: true });
+        } catch (err) {
+            console.error('tournament-leave error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    // Встать в очередь подбора соперника
+    socket.on('queue-join', (data, cb) => {
+        try {
+            const player = getSocketPlayer(socket);
+            if (!player) return cb && cb({ ok: false, error: 'Player not registered' });
+            if (player.inBattle) return cb && cb({ ok: false, error: 'Вы уже в баттле' });
+            if (player.resources < BATTLE_CONFIG.ATTACK_COST) return cb && cb({ ok: false, error: 'Недостаточно рыбок для баттла' });
+            if (matchmakingQueue.some(e => e.playerId === player.id)) return cb && cb({ ok: false, error: 'Вы уже в очереди' });
+
+            matchmakingQueue.push({ playerId: player.id, joinedAt: Date.now() });
+            cb && cb({ ok: true, rating: player.rating, queueSize: matchmakingQueue.length });
+        } catch (err) {
+            console.error('queue-join error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
 
-        console.log(`Баттл начался: ${challenger.name} vs ${acceptor.name}`);
+    // Выйти из очереди подбора
+    socket.on('queue-cancel', (data, cb) => {
+        const playerId = socket.data.playerId;
+        if (!playerId) return cb && cb({ ok: false, error: 'Player not registered' });
+        cb && cb({ ok: true, removed: leaveMatchmakingQueue(playerId) });
     });
 
     // Отклонение вызова на баттл
     socket.on('battle-decline', (data) => {
-        const decliner = players.find(p => p.id === socket.id);
+        const decliner = getSocketPlayer(socket);
+        if (!decliner || !data) return;
         const challenger = players.find(p => p.id === data.challengerId);
+        pendingChallenges.delete(challengeKey(data.challengerId, decliner.id));
 
         if (challenger) {
             io.to(challenger.id).emit('battle-declined', {
@@ -751,10 +4255,10 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Выполнение атаки в баттле
-    socket.on('battle-attack', (data) => {
-        const player = players.find(p => p.id === socket.id);
-        const battle = battles.find(b => b.id === data.battleId);
+    // Действие хода в баттле: attack, special, defend, heal, charge
+    function handleBattleAction(data, type) {
+        const player = getSocketPlayer(socket);
+        const battle = data && battles.find(b => b.id === data.battleId);
 
         if (!player || !battle) {
             socket.emit('battle-error', { message: 'Баттл не найден' });
@@ -771,29 +4275,39 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const action = battle.performAttack(player.id, data.isSpecial);
+        if (!(type in BATTLE_ACTION_COSTS)) {
+            socket.emit('battle-error', { message: 'Неизвестное действие' });
+            return;
+        }
+
+        const action = battle.performAction(player.id, type);
 
         if (action) {
             // Отправляем обновление баттла
             battle.broadcastBattleUpdate();
 
             // Уведомляем в чате о специальной атаке
-            if (data.isSpecial) {
-                io.emit('chat-message', {
-                    playerName: 'Система',
-                    message: `${player.name} использует супер-удар в баттле!`,
-                    timestamp: new Date().toLocaleTimeString()
-                });
+            if (type === 'special') {
+                postSystemMessage(`${player.name} использует супер-удар в баттле!`);
             }
         } else {
-            socket.emit('battle-error', { message: 'Не удалось выполнить атаку' });
+            socket.emit('battle-error', { message: 'Не удалось выполнить действие' });
         }
+    }
+
+    socket.on('battle-action', (data) => {
+        handleBattleAction(data, data && data.action);
+    });
+
+    // Старый формат: атака или супер-удар
+    socket.on('battle-attack', (data) => {
+        handleBattleAction(data, data && data.isSpecial ? 'special' : 'attack');
     });
 
     // Отмена баттла
     socket.on('battle-cancel', (data) => {
-        const player = players.find(p => p.id === socket.id);
-        const battle = battles.find(b => b.id === data.battleId);
+        const player = getSocketPlayer(socket);
+        const battle = data && battles.find(b => b.id === data.battleId);
 
         if (!player || !battle) {
             socket.emit('battle-error', { message: 'Баттл не найден' });
@@ -805,82 +4319,84 @@ io.on('connection', (socket) => {
             return;
         }
 
-        battle.cancelBattle(data.reason || 'Баттл отменен участником');
-
-        // Освобождаем игроков
-        battle.players.forEach(battlePlayer => {
-            const playerIndex = players.findIndex(p => p.id === battlePlayer.id);
-            if (playerIndex !== -1) {
-                players[playerIndex].inBattle = false;
-                players[playerIndex].battleId = null;
-            }
-        });
+        if (battle.tournamentMatchId) {
+            socket.emit('battle-error', { message: 'Турнирный баттл нельзя отменить' });
+            return;
+        }
 
-        // Удаляем баттл из списка
-        battles = battles.filter(b => b.id !== battle.id);
+        // cancelBattle возвращает ставки, а archive() освобождает игроков и убирает баттл из списка
+        battle.cancelBattle(data.reason || 'Баттл отменен участником');
 
         // Обновляем список игроков
-        io.emit('players-update', players);
+        markPlayersChanged();
     });
 
-    // Запрос информации о баттле
+    // Запрос информации о баттле (данные открытые - их видят и зрители)
     socket.on('battle-info', (data) => {
-        const battle = battles.find(b => b.id === data.battleId);
-        const player = players.find(p => p.id === socket.id);
+        const battle = battles.find(b => b.id === (data && data.battleId));
 
-        if (battle && player && battle.isParticipant(player.id)) {
+        if (battle) {
             socket.emit('battle-update', battle.getBattleData());
         }
     });
 
+    function stopSpectating() {
+        const battleId = socket.data.spectatingBattleId;
+        if (!battleId) return false;
+        socket.leave('battle:' + battleId);
+        socket.data.spectatingBattleId = null;
+        const battle = battles.find(b => b.id === battleId);
+        if (battle) battle.broadcastSpectators();
+        return true;
+    }
+
+    // Смотреть чужой баттл: только чтение, обновления приходят через комнату баттла
+    socket.on('spectate-battle', (data, cb) => {
+        try {
+            const battle = battles.find(b => b.id === (data && data.battleId));
+            if (!battle || battle.status !== 'active') return cb && cb({ ok: false, error: 'Баттл не найден' });
+            if (battle.isParticipant(socket.data.playerId)) return cb && cb({ ok: false, error: 'Вы участник этого баттла' });
+
+            stopSpectating();
+            socket.join(battle.room);
+            socket.data.spectatingBattleId = battle.id;
+            battle.broadcastSpectators();
+            cb && cb({ ok: true, battle: battle.getBattleData() });
+        } catch (err) {
+            console.error('spectate-battle error', err);
+            cb && cb({ ok: false, error: String(err) });
+        }
+    });
+
+    socket.on('stop-spectating', (data, cb) => {
+        cb && cb({ ok: true, stopped: stopSpectating() });
+    });
+
     // ========== КОНЕЦ ОБРАБОТЧИКОВ БАТТЛОВ ==========
 
     // Обработчик отключения игрока
     socket.on('disconnect', (reason) => {
         console.log('Игрок отключился:', socket.id, 'Причина:', reason);
-        
-        // Отменяем все баттлы с участием этого игрока
-        const playerBattles = battles.filter(b => b.isParticipant(socket.id));
-        
-        playerBattles.forEach(battle => {
-            battle.cancelBattle(`Игрок ${socket.id} отключился`);
-            
-            // Освобождаем другого игрока
-            const opponent = battle.getOpponent(socket.id);
-            if (opponent) {
-                const opponentIndex = players.findIndex(p => p.id === opponent.id);
-                if (opponentIndex !== -1) {
-                    players[opponentIndex].inBattle = false;
-                    players[opponentIndex].battleId = null;
-                }
-                
-                // Уведомляем оппонента
-                io.to(opponent.id).emit('battle-cancelled', {
-                    reason: 'Противник отключился',
-                    battleId: battle.id
-                });
-            }
-        });
 
-        // Удаляем баттлы с участием этого игрока
-        battles = battles.filter(b => !b.isParticipant(socket.id));
-        
-        const playerIndex = players.findIndex(p => p.id === socket.id);
-        
-        if (playerIndex !== -1) {
-            const disconnectedPlayer = players[playerIndex];
-            players.splice(playerIndex, 1);
-            
-            // Отправляем обновленный список
-            io.emit('players-update', players);
-            
-            // Уведомляем о выходе игрока
-            socket.broadcast.emit('player-left', {
-                name: disconnectedPlayer.name
-            });
-            
-            console.log(`Игрок ${disconnectedPlayer.name} покинул игру. Осталось: ${players.length}`);
+        // Комнаты сокет уже покинул - обновляем счётчик зрителей
+        if (socket.data.spectatingBattleId) {
+            const watched = battles.find(b => b.id === socket.data.spectatingBattleId);
+            if (watched) watched.broadcastSpectators();
+        }
+
+        const disconnectedPlayer = players.find(p => p.id === socket.data.playerId);
+        if (!disconnectedPlayer) return;
+
+        // У игрока остались другие открытые вкладки - он по-прежнему онлайн
+        const remainingSockets = io.sockets.adapter.rooms.get(disconnectedPlayer.id);
+        if (remainingSockets && remainingSockets.size > 0) {
+            if (disconnectedPlayer.socketId === socket.id) {
+                disconnectedPlayer.socketId = remainingSockets.values().next().value;
+            }
+            return;
         }
+        
+        handlePlayerOffline(disconnectedPlayer, socket);
     });
 
     // Обработчик ошибок
@@ -889,22 +4405,9 @@ io.on('connection', (socket) => {
     });
 });
 
-// Проверка сообщения на валидность
+// Проверка сообщения на валидность (запрещённые слова не отклоняют сообщение - их маскирует filterChatMessage)
 function isValidMessage(message) {
-    if (!message || typeof message !== 'string' || message.length > 200) return false;
-    
-    const forbiddenWords = ['спам', 'оскорбление', 'реклама'];
-    const lowerMessage = message.toLowerCase();
-    
-    for (let word of forbiddenWords) {
-        if (lowerMessage.includes(word)) return false;
-    }
-    
-    // Проверяем на спам-ссылки
-    const urlRegex = /(http|https):\/\/[^\s]+/g;
-    if (urlRegex.test(lowerMessage)) return false;
-    
-    return true;
+    return typeof message === 'string' && message.trim().length > 0 && message.length <= CHAT_CONFIG.MAX_LENGTH;
 }
 
 // Эндпоинт для проверки статуса сервера
@@ -925,6 +4428,7 @@ app.get('/players', (req, res) => {
             id: p.id,
             name: p.name,
             resources: p.resources,
+            currentSkin: p.currentSkin,
             inBattle: p.inBattle,
             online: true
         })),
@@ -932,25 +4436,153 @@ app.get('/players', (req, res) => {
     });
 });
 
-// Эндпоинт лидеров (leaderboard)
+// Профиль игрока (в том числе оффлайн) с коллекцией скинов
+app.get('/players/:id', (req, res) => {
+    try {
+        const row = getPlayerStmt.get(req.params.id);
+        if (!row) return res.status(404).json({ ok: false, error: 'Player not found' });
+        const skins = loadPlayerSkins(row.id).map(id => getSkin(id)).filter(Boolean);
+        res.json({
+            ok: true,
+            player: {
+                id: row.id,
+                name: row.name,
+                resources: row.resources,
+                currentSkin: row.currentSkin,
+                skins,
+                online: players.some(p => p.id === row.id)
+            }
+        });
+    } catch (err) {
+        console.error('player profile error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Достижения игрока: весь каталог с отметкой об открытии
+app.get('/players/:id/achievements', (req, res) => {
+    try {
+        if (!getPlayerStmt.get(req.params.id)) return res.status(404).json({ ok: false, error: 'Player not found' });
+        const achievements = getPlayerAchievements(req.params.id);
+        res.json({ ok: true, unlocked: achievements.filter(a => a.unlocked).length, total: achievements.length, achievements });
+    } catch (err) {
+        console.error('player achievements error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Эндпоинт лидеров (leaderboard): ?limit=&offset=. Страницы внутри топа отдаются из кэша,
+// version - номер снимка, к которому применяются дельты leaderboard-delta
 app.get('/leaderboard', (req, res) => {
-    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
     try {
-        const rows = getTopPlayersStmt.all(limit);
-        res.json({ ok: true, leaderboard: rows });
+        const cache = getCachedLeaderboard();
+        if (offset + limit <= LEADERBOARD_CONFIG.TOP_SIZE) {
+            return res.json({ ok: true, leaderboard: cache.rows.slice(offset, offset + limit), total: cache.total, offset, version: cache.version });
+        }
+        const rows = withRanks(getLeaderboardPageStmt.all(limit, offset), offset);
+        res.json({ ok: true, leaderboard: rows, total: countPlayersStmt.get().c, offset, version: cache.version });
     } catch (err) {
         console.error('leaderboard error', err);
         res.status(500).json({ ok: false, error: String(err) });
     }
 });
 
+// Игроки выше и ниже заданного (?range=, по умолчанию 5)
+app.get('/leaderboard/around/:id', (req, res) => {
+    const range = Math.min(LEADERBOARD_CONFIG.MAX_AROUND_RANGE, Math.max(1, parseInt(req.query.range) || 5));
+    try {
+        const around = getLeaderboardAround(req.params.id, range);
+        if (!around) return res.status(404).json({ ok: false, error: 'Player not found' });
+        res.json({ ok: true, ...around, total: countPlayersStmt.get().c });
+    } catch (err) {
+        console.error('leaderboard around error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Рейтинг престижа: очки, затем число перерождений
+app.get('/leaderboard/prestige', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        res.json({ ok: true, leaderboard: getPrestigeLadderStmt.all(limit) });
+    } catch (err) {
+        console.error('prestige leaderboard error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Рейтинг текущего сезона: рыбки, пойманные с его начала
+app.get('/leaderboard/season', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        flushSeasonScores();
+        if (!currentSeason) return res.json({ ok: true, season: null, leaderboard: [] });
+        res.json({ ok: true, season: currentSeason, leaderboard: getSeasonStandingsStmt.all(currentSeason.id, limit) });
+    } catch (err) {
+        console.error('season leaderboard error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Рейтинг кланов: сумма рыбок участников + казна, затем победы в баттлах
+app.get('/leaderboard/clans', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        const rows = getClanLeaderboardStmt.all()
+            .map(c => ({ ...c, score: c.totalFish + (c.treasury || 0) }))
+            .sort((a, b) => b.score - a.score || b.battleWins - a.battleWins)
+            .slice(0, limit);
+        res.json({ ok: true, leaderboard: rows });
+    } catch (err) {
+        console.error('clan leaderboard error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Клановые войны: текущие и история (опционально ?clanId=)
+app.get('/clan-wars', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        const clanId = parseInt(req.query.clanId);
+        const wars = clanId ? getClanWarsForClanStmt.all(clanId, clanId, limit) : getClanWarsStmt.all(limit);
+        res.json({ ok: true, wars });
+    } catch (err) {
+        console.error('clan-wars error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+app.get('/clan-wars/:id', (req, res) => {
+    try {
+        const war = getClanWarStmt.get(parseInt(req.params.id));
+        if (!war) return res.status(404).json({ ok: false, error: 'War not found' });
+        res.json({ ok: true, war });
+    } catch (err) {
+        console.error('clan-war error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Рейтинговая таблица по Эло
+app.get('/leaderboard/ranked', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        res.json({ ok: true, leaderboard: getRankedLadderStmt.all(limit) });
+    } catch (err) {
+        console.error('ranked leaderboard error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
 // Эндпоинты для кланов
 app.get('/clans', (req, res) => {
     try {
         const clans = getClansStmt.all();
         const result = clans.map(c => {
             const members = getClanMembersStmt.all(c.id);
-            return { ...c, members };
+            return { ...c, members, perks: loadClanPerks(c.id) };
         });
         res.json({ ok: true, clans: result });
     } catch (err) {
@@ -970,6 +4602,362 @@ app.get('/daily-tasks', (req, res) => {
     }
 });
 
+// Доступ к админским эндпоинтам - по заголовку X-Admin-Token (значение из ADMIN_TOKEN)
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken || req.get('X-Admin-Token') !== adminToken) {
+        return res.status(403).json({ ok: false, error: 'Forbidden' });
+    }
+    next();
+}
+
+// Добавить задание в пул ежедневных заданий
+app.post('/admin/tasks', requireAdmin, (req, res) => {
+    try {
+        const { title, description, goal_type } = req.body || {};
+        const reward = parseInt(req.body && req.body.reward);
+        const target = parseInt(req.body && req.body.target);
+        if (!title || !String(title).trim()) return res.status(400).json({ ok: false, error: 'Invalid title' });
+        if (!TASK_GOAL_TYPES.includes(goal_type)) {
+            return res.status(400).json({ ok: false, error: 'goal_type must be one of: ' + TASK_GOAL_TYPES.join(', ') });
+        }
+        if (!(reward > 0) || !(target > 0)) return res.status(400).json({ ok: false, error: 'Invalid reward or target' });
+
+        const info = insertTaskStmt.run(String(title).trim(), String(description || '').trim(), reward, new Date().toISOString(), goal_type, target);
+        const task = db.prepare('SELECT * FROM daily_tasks WHERE id = ?').get(info.lastInsertRowid);
+        res.json({ ok: true, task });
+    } catch (err) {
+        console.error('admin add task error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Очередь жалоб на сообщения (?status=open|resolved|dismissed)
+app.get('/admin/reports', requireAdmin, (req, res) => {
+    try {
+        const status = ['open', 'resolved', 'dismissed'].includes(req.query.status) ? req.query.status : 'open';
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        res.json({ ok: true, reports: getReportsByStatusStmt.all(status, limit) });
+    } catch (err) {
+        console.error('admin reports error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Разобрать жалобу: action = dismiss | mute | ban, minutes = 0 - бессрочно
+app.post('/admin/reports/:id/resolve', requireAdmin, (req, res) => {
+    try {
+        const report = getReportStmt.get(parseInt(req.params.id));
+        if (!report) return res.status(404).json({ ok: false, error: 'Report not found' });
+        if (report.status !== 'open') return res.status(409).json({ ok: false, error: 'Report already resolved' });
+        const { action, reason } = req.body || {};
+        if (!['dismiss', 'mute', 'ban'].includes(action)) return res.status(400).json({ ok: false, error: 'action must be one of: dismiss, mute, ban' });
+
+        let sanction = null;
+        if (action !== 'dismiss') {
+            sanction = issueSanction(report.reportedId, action, parseInt(req.body.minutes) || 0, reason || report.reason, 'admin');
+        }
+        resolveReportStmt.run(action === 'dismiss' ? 'dismissed' : 'resolved', action, new Date().toISOString(), report.id);
+        res.json({ ok: true, report: getReportStmt.get(report.id), sanction });
+    } catch (err) {
+        console.error('admin resolve report error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Действующие муты и баны
+app.get('/admin/sanctions', requireAdmin, (req, res) => {
+    try {
+        res.json({ ok: true, sanctions: getActiveSanctionsStmt.all(new Date().toISOString()) });
+    } catch (err) {
+        console.error('admin sanctions error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Выдать мут или бан напрямую: { playerId, type: 'mute' | 'ban', minutes, reason }
+app.post('/admin/sanctions', requireAdmin, (req, res) => {
+    try {
+        const { playerId, type, reason } = req.body || {};
+        if (!['mute', 'ban'].includes(type)) return res.status(400).json({ ok: false, error: 'type must be mute or ban' });
+        if (!playerId || !getPlayerStmt.get(String(playerId))) return res.status(404).json({ ok: false, error: 'Player not found' });
+        const sanction = issueSanction(String(playerId), type, parseInt(req.body.minutes) || 0, reason ? String(reason).slice(0, 200) : null, 'admin');
+        res.json({ ok: true, sanction });
+    } catch (err) {
+        console.error('admin add sanction error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Снять наказание досрочно
+app.delete('/admin/sanctions/:id', requireAdmin, (req, res) => {
+    try {
+        const info = revokeSanctionStmt.run(new Date().toISOString(), parseInt(req.params.id));
+        if (info.changes === 0) return res.status(404).json({ ok: false, error: 'Active sanction not found' });
+        res.json({ ok: true, sanction: getSanctionStmt.get(parseInt(req.params.id)) });
+    } catch (err) {
+        console.error('admin revoke sanction error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Слова фильтра чата
+app.get('/admin/filter-words', requireAdmin, (req, res) => {
+    try {
+        res.json({ ok: true, words: getFilterWordsStmt.all().map(row => row.word) });
+    } catch (err) {
+        console.error('admin filter words error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+app.post('/admin/filter-words', requireAdmin, (req, res) => {
+    try {
+        const word = String((req.body && req.body.word) || '').trim().toLowerCase();
+        if (!word || word.length > 50) return res.status(400).json({ ok: false, error: 'Invalid word' });
+        insertFilterWordStmt.run(word, new Date().toISOString());
+        loadChatFilterWords();
+        res.json({ ok: true, words: getFilterWordsStmt.all().map(row => row.word) });
+    } catch (err) {
+        console.error('admin add filter word error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+app.delete('/admin/filter-words/:word', requireAdmin, (req, res) => {
+    try {
+        deleteFilterWordStmt.run(String(req.params.word).trim().toLowerCase());
+        loadChatFilterWords();
+        res.json({ ok: true, words: getFilterWordsStmt.all().map(row => row.word) });
+    } catch (err) {
+        console.error('admin remove filter word error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Текущий рейд (или null)
+app.get('/raid', (req, res) => {
+    res.json({ ok: true, raid: getRaidState() });
+});
+
+// Запустить рейд вне расписания
+app.post('/admin/raids', requireAdmin, (req, res) => {
+    try {
+        const raid = spawnRaid(req.body && req.body.bossId);
+        if (!raid) return res.status(409).json({ ok: false, error: 'Raid already in progress' });
+        res.json({ ok: true, raid: getRaidState() });
+    } catch (err) {
+        console.error('admin raid error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Текущий турнир и недавние турниры
+app.get('/tournaments', (req, res) => {
+    try {
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+        const open = getOpenTournamentStmt.get();
+        res.json({
+            ok: true,
+            current: open ? getTournamentState(open.id) : null,
+            tournaments: getTournamentsStmt.all(limit)
+        });
+    } catch (err) {
+        console.error('tournaments error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Сетка турнира для отрисовки дерева
+app.get('/tournaments/:id', (req, res) => {
+    try {
+        const tournament = getTournamentState(parseInt(req.params.id));
+        if (!tournament) return res.status(404).json({ ok: false, error: 'Tournament not found' });
+        res.json({ ok: true, tournament });
+    } catch (err) {
+        console.error('tournament error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Сезоны: список и архив итогов
+app.get('/seasons', (req, res) => {
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    try {
+        res.json({ ok: true, seasons: getSeasonsStmt.all(limit) });
+    } catch (err) {
+        console.error('seasons error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+app.get('/seasons/:id', (req, res) => {
+    const limit = Math.max(1, Math.min(500, parseInt(req.query.limit) || 100));
+    try {
+        const season = getSeasonStmt.get(req.params.id);
+        if (!season) return res.status(404).json({ ok: false, error: 'Season not found' });
+        res.json({ ok: true, season, results: getSeasonResultsStmt.all(season.id, limit) });
+    } catch (err) {
+        console.error('season error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Запланировать следующий сезон с явными датами (начнётся, когда закончится текущий и наступит startsAt)
+app.post('/admin/seasons', requireAdmin, (req, res) => {
+    try {
+        const body = req.body || {};
+        const startsAt = new Date(body.startsAt || Date.now());
+        const endsAt = body.endsAt ? new Date(body.endsAt) : new Date(startsAt.getTime() + SEASON_CONFIG.DURATION_DAYS * DAY_MS);
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+            return res.status(400).json({ ok: false, error: 'Invalid season dates' });
+        }
+        if (getScheduledSeasonStmt.get()) return res.status(409).json({ ok: false, error: 'Season already scheduled' });
+        const season = createSeason({ name: body.name ? String(body.name).slice(0, 50) : null, startsAt, endsAt });
+        res.json({ ok: true, season });
+    } catch (err) {
+        console.error('admin season error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Досрочно завершить текущий сезон (итоги и награды - как по сроку). Следующий сезон
+// автоматически не начнётся - его нужно запланировать через POST /admin/seasons
+app.post('/admin/seasons/end', requireAdmin, (req, res) => {
+    try {
+        if (!currentSeason) return res.status(404).json({ ok: false, error: 'No active season' });
+        const season = currentSeason;
+        finishSeason(season, true);
+        res.json({ ok: true, season: getSeasonStmt.get(season.id), results: getSeasonResultsStmt.all(season.id, 100) });
+    } catch (err) {
+        console.error('admin season end error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Активные и запланированные события
+app.get('/events', (req, res) => {
+    try {
+        res.json({ ok: true, multiplier: eventMultiplier, events: getUpcomingGameEventsStmt.all(20) });
+    } catch (err) {
+        console.error('events error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Запланировать событие с множителем дохода
+app.post('/admin/events', requireAdmin, (req, res) => {
+    try {
+        const body = req.body || {};
+        const name = body.name ? String(body.name).trim().slice(0, 50) : '';
+        const multiplier = parseFloat(body.multiplier);
+        const startsAt = new Date(body.startsAt || Date.now());
+        const endsAt = new Date(body.endsAt);
+        if (!name) return res.status(400).json({ ok: false, error: 'name is required' });
+        if (!(multiplier > 0) || multiplier > 10) return res.status(400).json({ ok: false, error: 'Invalid multiplier' });
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+            return res.status(400).json({ ok: false, error: 'Invalid event dates' });
+        }
+        const info = insertGameEventStmt.run(name, multiplier, startsAt.toISOString(), endsAt.toISOString(), new Date().toISOString());
+        processGameEvents(Date.now());
+        res.json({ ok: true, event: getGameEventStmt.get(info.lastInsertRowid) });
+    } catch (err) {
+        console.error('admin event error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Отменить событие (если уже идёт - завершается сразу, и его окончание сдвигается на сейчас)
+app.delete('/admin/events/:id', requireAdmin, (req, res) => {
+    try {
+        const event = getGameEventStmt.get(req.params.id);
+        if (!event) return res.status(404).json({ ok: false, error: 'Event not found' });
+        if (event.status === 'finished' || event.status === 'cancelled') {
+            return res.status(409).json({ ok: false, error: 'Event already finished' });
+        }
+        if (event.status === 'active') {
+            endGameEventStmt.run(new Date().toISOString(), event.id);
+            postSystemMessage(`Событие «${event.name}» завершилось.`);
+            refreshEventMultiplier();
+        } else {
+            // Не начавшееся событие не должно попадать в расчёт оффлайн-дохода
+            setGameEventStatusStmt.run('cancelled', event.id);
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('admin event delete error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Открыть запись на турнир вне расписания
+app.post('/admin/tournaments', requireAdmin, (req, res) => {
+    try {
+        const body = req.body || {};
+        const tournament = createTournament({
+            name: body.name ? String(body.name).slice(0, 50) : null,
+            seeding: body.seeding,
+            signupMinutes: parseFloat(body.signupMinutes) || null
+        });
+        if (!tournament) return res.status(409).json({ ok: false, error: 'Tournament already open' });
+        res.json({ ok: true, tournament: getTournamentState(tournament.id) });
+    } catch (err) {
+        console.error('admin tournament error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// История баттлов игрока и его общий счёт
+app.get('/battles/history', (req, res) => {
+    const playerId = req.query.player;
+    if (!playerId) return res.status(400).json({ ok: false, error: 'player is required' });
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    try {
+        const record = getPlayerBattleRecordStmt.get({ playerId });
+        res.json({
+            ok: true,
+            record: {
+                total: record.total,
+                wins: record.wins || 0,
+                losses: record.losses || 0,
+                draws: record.draws || 0
+            },
+            battles: getPlayerBattleHistoryStmt.all({ playerId, limit, offset })
+        });
+    } catch (err) {
+        console.error('battle history error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Баттл с полным журналом действий - для повтора по ходам
+app.get('/battles/:id', (req, res) => {
+    try {
+        const record = getBattleRecordStmt.get(req.params.id);
+        if (!record) {
+            const live = battles.find(b => b.id === req.params.id);
+            if (!live) return res.status(404).json({ ok: false, error: 'Battle not found' });
+            return res.json({ ok: true, battle: { ...live.getBattleData(), actions: live.actions } });
+        }
+        const actions = getBattleActionsStmt.all(record.id).map(row => ({ seq: row.seq, ...JSON.parse(row.data) }));
+        res.json({ ok: true, battle: { ...record, ranked: !!record.ranked, actions } });
+    } catch (err) {
+        console.error('battle error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
+// Журнал движения ставок баттла - для разбора спорных случаев
+app.get('/battles/:id/ledger', requireAdmin, (req, res) => {
+    try {
+        res.json({ ok: true, ledger: getBattleLedgerStmt.all(req.params.id) });
+    } catch (err) {
+        console.error('battle ledger error', err);
+        res.status(500).json({ ok: false, error: String(err) });
+    }
+});
+
 // Эндпоинт для получения списка активных баттлов
 app.get('/battles', (req, res) => {
     res.json({
@@ -978,7 +4966,9 @@ app.get('/battles', (req, res) => {
             player1: battle.player1.name,
             player2: battle.player2.name,
             turn: battle.turn,
-            status: battle.status
+            status: battle.status,
+            spectators: battle.getSpectatorCount(),
+            watchUrl: '/?watch=' + encodeURIComponent(battle.id)
         })),
         total: battles.length
     });
@@ -988,12 +4978,10 @@ app.get('/battles', (req, res) => {
 app.get('/player-position', (req, res) => {
     const playerId = req.query.id;
     try {
-        // get all players ordered by resources desc
-        const rows = db.prepare('SELECT id, name, resources FROM players ORDER BY resources DESC').all();
-        const total = rows.length;
-        const index = rows.findIndex(r => r.id === playerId);
-        if (index === -1) return res.json({ ok: true, position: null, total });
-        return res.json({ ok: true, position: index + 1, total, player: rows[index] });
+        const total = countPlayersStmt.get().c;
+        const position = playerId ? getPlayerRank(playerId) : null;
+        if (!position) return res.json({ ok: true, position: null, total });
+        return res.json({ ok: true, position: position.rank, total, player: position.player });
     } catch (err) {
         console.error('player-position error', err);
         res.status(500).json({ ok: false, error: String(err) });
@@ -0,0 +1,157 @@
+// Ставки в баттлах: эскроу при принятии вызова, возврат при отмене, выплата при неявке
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+    startServer,
+    waitFor,
+    joinPlayer,
+    getAdminJson,
+    getOnlinePlayer,
+    createFundedPlayer,
+    startWagerBattle
+} = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function getResources(socket) {
+    return (await getOnlinePlayer(server, socket.playerId)).resources;
+}
+
+async function getLedger(battleId) {
+    return (await getAdminJson(server, `/battles/${encodeURIComponent(battleId)}/ledger`)).ledger
+        .map(entry => [entry.playerId, entry.type, entry.amount]);
+}
+
+test('stakes are escrowed on accept and refunded on cancel', async () => {
+    const a = await createFundedPlayer(server, 'Escrow A', 1000);
+    const b = await createFundedPlayer(server, 'Escrow B', 1000);
+
+    const challenged = waitFor(b, 'battle-challenge');
+    a.emit('battle-challenge', { targetId: b.playerId, wager: 100 });
+    await challenged;
+    // Пока вызов не принят, ставка не списана
+    assert.strictEqual(await getResources(a), 1000);
+
+    const started = waitFor(a, 'battle-start');
+    b.emit('battle-accept', { challengerId: a.playerId });
+    const battle = await started;
+    assert.strictEqual(await getResources(a), 900);
+    assert.strictEqual(await getResources(b), 900);
+
+    const cancelled = waitFor(b, 'battle-update');
+    a.emit('battle-cancel', { battleId: battle.id });
+    assert.strictEqual((await cancelled).status, 'cancelled');
+
+    assert.strictEqual(await getResources(a), 1000);
+    assert.strictEqual(await getResources(b), 1000);
+    assert.deepStrictEqual(await getLedger(battle.id), [
+        [a.playerId, 'escrow', 100],
+        [b.playerId, 'escrow', 100],
+        [a.playerId, 'refund', 100],
+        [b.playerId, 'refund', 100]
+    ]);
+
+    a.disconnect();
+    b.disconnect();
+});
+
+test('declined challenge never touches resources', async () => {
+    const a = await createFundedPlayer(server, 'Decline A', 500);
+    const b = await createFundedPlayer(server, 'Decline B', 500);
+
+    const challenged = waitFor(b, 'battle-challenge');
+    a.emit('battle-challenge', { targetId: b.playerId, wager: 200 });
+    await challenged;
+
+    const declined = waitFor(a, 'battle-declined');
+    b.emit('battle-decline', { challengerId: a.playerId });
+    await declined;
+
+    assert.strictEqual(await getResources(a), 500);
+    assert.strictEqual(await getResources(b), 500);
+
+    // Отклонённый вызов нельзя принять
+    const error = waitFor(b, 'battle-error');
+    b.emit('battle-accept', { challengerId: a.playerId });
+    assert.match((await error).message, /Вызов не найден/);
+
+    a.disconnect();
+    b.disconnect();
+});
+
+test('player who never returns after acting forfeits the pot', async () => {
+    const a = await createFundedPlayer(server, 'Forfeit A', 1000);
+    const b = await createFundedPlayer(server, 'Forfeit B', 1000);
+    const battle = await startWagerBattle(a, b, 100);
+
+    // Одно действие - и неявка уже не отмена, а поражение
+    const first = battle.currentPlayer === a.playerId ? a : b;
+    const acted = waitFor(a, 'battle-update');
+    first.emit('battle-action', { battleId: battle.id, action: 'defend' });
+    await acted;
+
+    const ended = waitFor(a, 'battle-ended');
+    b.disconnect();
+    const result = await ended;
+    assert.strictEqual(result.winnerId, a.playerId);
+
+    const ledger = await getLedger(battle.id);
+    assert.deepStrictEqual(ledger.slice(2), [[a.playerId, 'payout', 200]]);
+
+    a.disconnect();
+});
+
+test('reconnecting within the grace period resumes the battle', async () => {
+    const a = await createFundedPlayer(server, 'Grace A', 1000);
+    const b = await createFundedPlayer(server, 'Grace B', 1000);
+    const battle = await startWagerBattle(a, b, 50);
+
+    const reconnecting = waitFor(a, 'battle-opponent-reconnecting');
+    b.disconnect();
+    assert.strictEqual((await reconnecting).battleId, battle.id);
+
+    const reconnected = waitFor(a, 'battle-opponent-reconnected');
+    const b2 = await joinPlayer(server, 'Grace B', b.token);
+    await reconnected;
+
+    // Ожидание уже прошло бы, но баттл продолжается
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    const info = waitFor(a, 'battle-update');
+    a.emit('battle-info', { battleId: battle.id });
+    assert.strictEqual((await info).status, 'active');
+
+    const cancelled = waitFor(a, 'battle-update');
+    b2.emit('battle-cancel', { battleId: battle.id });
+    assert.strictEqual((await cancelled).status, 'cancelled');
+    assert.strictEqual(await getResources(b2), 1000);
+
+    a.disconnect();
+    b2.disconnect();
+});
+
+test('battle without actions is cancelled and refunded when the player does not return', async () => {
+    const a = await createFundedPlayer(server, 'Gone A', 1000);
+    const b = await createFundedPlayer(server, 'Gone B', 1000);
+    const battle = await startWagerBattle(a, b, 100);
+
+    const cancelled = waitFor(a, 'battle-cancelled');
+    b.disconnect();
+    assert.strictEqual((await cancelled).battleId, battle.id);
+
+    assert.strictEqual(await getResources(a), 1000);
+    const ledger = await getLedger(battle.id);
+    assert.deepStrictEqual(ledger.filter(entry => entry[1] === 'refund'), [
+        [a.playerId, 'refund', 100],
+        [b.playerId, 'refund', 100]
+    ]);
+
+    a.disconnect();
+});
@@ -0,0 +1,33 @@
+// Фильтр чата: запрещённые слова маскируются и при написании вперемешку латиницей и кириллицей
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, joinPlayer, call } = require('./helpers');
+
+let server;
+let socket;
+
+before(async () => {
+    server = await startServer();
+    socket = await joinPlayer(server, 'Chatter');
+});
+
+after(async () => {
+    socket.disconnect();
+    await server.stop();
+});
+
+async function send(message) {
+    const result = await call(socket, 'chat-message', { message });
+    assert.ok(result.ok, result.error);
+    return result.message.message;
+}
+
+test('filter word spelled with mixed scripts is masked', async () => {
+    assert.strictEqual(await send('купи sпaм тут'), 'купи **** тут');
+    assert.strictEqual(await send('CNAM'), '****');
+    assert.strictEqual(await send('сп@м'), '****');
+});
+
+test('ordinary messages are left untouched', async () => {
+    assert.strictEqual(await send('привет, hello'), 'привет, hello');
+});
@@ -0,0 +1,38 @@
+// Обработчики баттлов не должны ронять сервер на незарегистрированных сокетах и пустых данных
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, joinPlayer, getJson } = require('./helpers');
+
+const BATTLE_EVENTS = ['battle-challenge', 'battle-accept', 'battle-decline', 'battle-action', 'battle-attack', 'battle-cancel', 'battle-info'];
+const BAD_PAYLOADS = [undefined, null, {}, { challengerId: 'nobody', battleId: 'nothing', targetId: 'nobody' }];
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+async function assertServerAlive() {
+    assert.strictEqual(server.child.exitCode, null, server.getOutput());
+    assert.strictEqual((await getJson(server, '/status')).status, 'online');
+}
+
+test('unregistered socket cannot crash battle handlers', async () => {
+    const socket = await connect(server);
+    BATTLE_EVENTS.forEach(event => BAD_PAYLOADS.forEach(payload => socket.emit(event, payload)));
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await assertServerAlive();
+    socket.disconnect();
+});
+
+test('registered socket with malformed payloads cannot crash battle handlers', async () => {
+    const socket = await joinPlayer(server, 'Guard');
+    BATTLE_EVENTS.forEach(event => BAD_PAYLOADS.forEach(payload => socket.emit(event, payload)));
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await assertServerAlive();
+    socket.disconnect();
+});
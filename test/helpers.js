@@ -0,0 +1,170 @@
+// Общие хелперы для тестов: настоящий сервер в отдельном процессе с временной БД
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { io } = require('socket.io-client');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Запустить serv.js и дождаться строки о старте. Короткое ожидание переподключения,
+// чтобы тесты на отвалившегося игрока не ждали по 30 секунд
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kosatka-test-'));
+    const dbPath = path.join(dir, 'data.db');
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'serv.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DB_PATH: dbPath,
+            ADMIN_TOKEN,
+            BATTLE_RECONNECT_SECONDS: '1',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stderr.on('data', chunk => { output += chunk; });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start:\n' + output)), 10000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Сервер запущен')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n` + output));
+        });
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        dbPath,
+        child,
+        getOutput: () => output,
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function waitFor(socket, event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        const handler = payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        };
+        socket.once(event, handler);
+    });
+}
+
+async function connect(server) {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+    await waitFor(socket, 'connect');
+    return socket;
+}
+
+// Подключиться и войти (с токеном - в существующий аккаунт)
+async function joinPlayer(server, name, token) {
+    const socket = await connect(server);
+    const registered = waitFor(socket, 'player-registered');
+    socket.emit('player-join', { name, token });
+    const info = await registered;
+    socket.playerId = info.id;
+    socket.token = info.token;
+    return socket;
+}
+
+function call(socket, event, data = {}) {
+    return new Promise(resolve => socket.emit(event, data, resolve));
+}
+
+async function getJson(server, route, headers = {}) {
+    const res = await fetch(server.url + route, { headers });
+    return res.json();
+}
+
+function getAdminJson(server, route) {
+    return getJson(server, route, { 'X-Admin-Token': ADMIN_TOKEN });
+}
+
+async function waitUntil(check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+async function getOnlinePlayer(server, playerId) {
+    return (await getJson(server, '/players')).players.find(p => p.id === playerId);
+}
+
+// Новый игрок с заданным запасом рыбок: регистрируемся, выходим, правим БД и входим снова
+async function createFundedPlayer(server, name, resources) {
+    const first = await joinPlayer(server, name);
+    const { playerId, token } = first;
+    first.disconnect();
+    await waitUntil(async () => !(await getOnlinePlayer(server, playerId)));
+
+    const db = new Database(server.dbPath);
+    try {
+        db.prepare('UPDATE players SET resources = ? WHERE id = ?').run(resources, playerId);
+    } finally {
+        db.close();
+    }
+    return joinPlayer(server, name, token);
+}
+
+// Вызов на баттл и его принятие; возвращает данные начавшегося баттла
+async function startWagerBattle(challenger, target, wager) {
+    const challenged = waitFor(target, 'battle-challenge');
+    challenger.emit('battle-challenge', { targetId: target.playerId, wager });
+    await challenged;
+
+    const started = waitFor(challenger, 'battle-start');
+    target.emit('battle-accept', { challengerId: challenger.playerId });
+    return started;
+}
+
+module.exports = {
+    ADMIN_TOKEN,
+    startServer,
+    waitFor,
+    connect,
+    joinPlayer,
+    call,
+    getJson,
+    getAdminJson,
+    waitUntil,
+    getOnlinePlayer,
+    createFundedPlayer,
+    startWagerBattle
+};